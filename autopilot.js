@@ -0,0 +1,293 @@
+// Kiro Kong autopilot
+// A bot that plays through the same input the keyboard gives step(). It follows the
+// navigation graph towards Donkey Kong, jumps the barrels, fireballs and pans it would
+// otherwise run into and waits out springs, judging each move with the rules
+// checkCollisions() uses. The title
+// screen's attract mode drives the player with it, and headless runs can too:
+//
+//   sim.startGame(1234);
+//   sim.Autopilot.reset();
+//   while (sim.getState().gameState === 'playing') sim.step(sim.Autopilot.read());
+//
+// Loaded before simulation.js and only reads its globals when called.
+
+const Autopilot = {
+    LOOKAHEAD_FRAMES: 45,  // How far ahead each move is checked against the enemies
+    ARRIVE_DISTANCE: 2,    // Close enough to a target x (half a walking step)
+    LEAP_FRAMES: 30,       // Give up on walking off an end that never drops the player
+    
+    climbDirection: 0,     // -1 up, 1 down while on a ladder
+    leap: null,            // { dir, airborne, frames } while going off a platform end
+    
+    reset() {
+        this.climbDirection = 0;
+        this.leap = null;
+    },
+    
+    // This frame's input, in the same shape InputManager.read() gives
+    read() {
+        const input = { left: false, right: false, up: false, down: false, jump: false };
+        if (gameState !== 'playing') return input;
+        if (player.dying) {
+            this.reset();
+            return input;
+        }
+        
+        // Keep running the same way until a drop or jump has landed
+        if (this.leap) {
+            if (!player.onGround) this.leap.airborne = true;
+            if (this.leap.airborne ? player.onGround : ++this.leap.frames > this.LEAP_FRAMES) {
+                this.leap = null;
+            }
+        }
+        if (this.leap) {
+            input.left = this.leap.dir < 0;
+            input.right = this.leap.dir > 0;
+            return input;
+        }
+        
+        let move;
+        if (player.climbing) {
+            move = this.safest(this.ladderMoves());
+        } else if (player.onGround) {
+            move = this.safest(this.groundMoves(this.plan()));
+        } else {
+            return input;
+        }
+        input.left = move.dir < 0;
+        input.right = move.dir > 0;
+        input.up = move.climb < 0;
+        input.down = move.climb > 0;
+        input.jump = Boolean(move.jump);
+        if (move.climb) this.climbDirection = move.climb;
+        if (move.leap || move.jump) this.leap = { dir: move.dir, airborne: false, frames: 0 };
+        return input;
+    },
+    
+    // Where to head for as { x, y, jump }, y at the feet. On a goal stage that's under the
+    // goal, on the highest platform it can be touched from, ready to jump up to it.
+    target() {
+        if (levelSettings.winCondition === 'rivets') return this.rivetTarget();
+        
+        let platform = null;
+        for (const candidate of platforms) {
+            if (LevelLoader.canTouchGoal(candidate, goal, levelSettings.gravity) && (!platform || candidate.y < platform.y)) {
+                platform = candidate;
+            }
+        }
+        if (!platform) return null;
+        const x = Math.max(platform.x, Math.min(platform.x + platform.width, goal.x + goal.width / 2));
+        return { x, y: Navigation.surfaceY(x, platform), jump: true };
+    },
+    
+    // On a rivet stage: the nearest rivet there's a route to, or once they've all been
+    // stepped on, the spot beside the last one so it comes out
+    rivetTarget() {
+        const centerX = player.x + player.width / 2;
+        const feetY = player.y + player.height;
+        const remaining = rivets.filter(rivet => !rivet.removed);
+        if (remaining.length === 0) return null;
+        
+        const fresh = remaining.filter(rivet => !rivet.stepped);
+        if (fresh.length === 0) {
+            const rivet = remaining[0];
+            return { x: rivet.x + (centerX < rivet.x ? -RIVET_GAP : RIVET_GAP), y: rivet.y, jump: false };
+        }
+        const distance = (rivet) => Math.abs(rivet.x - centerX) + Math.abs(rivet.y - feetY) * 2;
+        const nearest = fresh
+            .sort((a, b) => distance(a) - distance(b))
+            .find(rivet => Navigation.findPath(navGraph, { x: centerX, y: feetY }, rivet));
+        return nearest ? { x: nearest.x, y: nearest.y, jump: false } : null;
+    },
+    
+    // The next move along the quickest route. Moves are { dir, jump, climb, stopY, leap }:
+    // dir and climb are -1, 0 or 1, and a climb ends with the feet at stopY.
+    plan() {
+        const centerX = player.x + player.width / 2;
+        const feetY = player.y + player.height;
+        const target = this.target();
+        const legs = target && Navigation.findPath(navGraph, { x: centerX, y: feetY }, target);
+        if (!legs) return { dir: 0 };
+        
+        let leg = legs[0];
+        if (leg && leg.kind === 'walk' && Math.abs(leg.toX - centerX) <= this.ARRIVE_DISTANCE) {
+            leg = legs[1];
+        }
+        if (!leg) return { dir: 0, jump: target.jump }; // There, so jump up to the goal if it's one
+        
+        if (leg.kind === 'walk') {
+            return { dir: Math.sign(leg.toX - centerX) };
+        }
+        if (leg.kind === 'climb') {
+            if (player.hammerTimer > 0) return { dir: 0 }; // Wait for the hammer to run out
+            const stopY = PlatformGeometry.getAngledPlatformY(centerX, platforms[leg.toPlatform], 0);
+            return { dir: 0, climb: stopY < feetY ? -1 : 1, stopY };
+        }
+        
+        // Drops and jumps leave by the platform end they start from, once any elevator
+        // they need is on its way to meet them
+        if (leg.lift && !this.liftReady(leg.lift)) return { dir: 0 };
+        const dir = leg.fromX <= platforms[leg.platform].x ? -1 : 1;
+        return { dir, jump: leg.kind === 'jump', leap: true };
+    },
+    
+    // Whether an elevator will be at one of a lift edge's heights when it's needed there
+    liftReady(lift) {
+        const elevator = platforms[lift.platform];
+        return lift.heights.some(height =>
+            Math.abs(elevator.y + elevator.elevator.speed * height.frames - height.y) <= Navigation.ELEVATOR_STEP / 2);
+    },
+    
+    // On the ground: the planned move, the same with a jump, then standing still and
+    // either direction, each with and without a jump
+    groundMoves(planned) {
+        const canJump = player.hammerTimer === 0;
+        const moves = [planned];
+        if (canJump && !planned.jump && !planned.climb) moves.push({ dir: planned.dir, jump: true });
+        for (const dir of [0, -1, 1]) {
+            if (dir === planned.dir && !planned.climb) continue;
+            moves.push({ dir });
+            if (canJump) moves.push({ dir, jump: true });
+        }
+        return moves;
+    },
+    
+    // On a ladder: carry on, hold still, or go back the way we came
+    ladderMoves() {
+        const ladder = ladders.find(l =>
+            player.x + player.width > l.x && player.x < l.x + l.width &&
+            player.y + player.height > l.y && player.y < l.y + l.height);
+        if (!ladder) return [{ dir: 0 }];
+        const dir = this.climbDirection || -1;
+        const centerX = ladder.x + ladder.width / 2;
+        
+        // Feet on the girder at that end of the ladder, the way plan() stops a climb
+        const end = (climb) => {
+            const y = climb < 0 ? ladder.y : ladder.y + ladder.height;
+            const platform = Navigation.platformNear(platforms, centerX, y, -1);
+            return platform === -1 ? y : PlatformGeometry.getAngledPlatformY(centerX, platforms[platform], 0);
+        };
+        return [
+            { dir: 0, climb: dir, stopY: end(dir) },
+            { dir: 0 },
+            { dir: 0, climb: -dir, stopY: end(-dir) }
+        ];
+    },
+    
+    // The first move that stays clear of every enemy, or the one that is hit latest
+    safest(moves) {
+        let best = null;
+        let bestFrames = -1;
+        for (const move of moves) {
+            const frames = this.framesUntilHit(move);
+            if (frames > this.LOOKAHEAD_FRAMES) return move;
+            if (frames > bestFrames) {
+                best = move;
+                bestFrames = frames;
+            }
+        }
+        return best;
+    },
+    
+    // Play a move forward against enemies holding their course (falling ones keep
+    // falling) and return the first frame checkCollisions() or a fatal landing would
+    // take a life, or LOOKAHEAD_FRAMES + 1 if none
+    framesUntilHit(move) {
+        const halfWidth = player.width / 2;
+        const playerRadius = Math.min(player.width, player.height) / 2;
+        const jumpStart = player.y + player.height;
+        let x = player.x + halfWidth;
+        let bottom = jumpStart;
+        let fallStart = jumpStart; // Where it last stood, for the fatal fall check
+        let vy = move.jump ? JUMP_POWER : 0;
+        let climbing = player.climbing || Boolean(move.climb);
+        let airborne = climbing || Boolean(move.jump);
+        let facingRight = player.facingRight;
+        let belt = player.onGround ? PlatformGeometry.surfaceSpeed(player.platform) : 0;
+        let enemies = [...barrels, ...fireballs, ...cementPans].map(enemy => ({
+            x: enemy.x, y: enemy.y, vx: enemy.vx, vy: enemy.vy, radius: enemy.radius,
+            scored: enemy.scored, falling: !enemy.onPlatform && !enemy.ladder,
+            // Barrels pick up speed down a slope (see Barrel.roll())
+            pull: enemy instanceof Barrel && enemy.onPlatform
+                ? levelSettings.gravity * PlatformGeometry.slope(enemy.currentPlatform) * BARREL_SLOPE_PULL : 0
+        }));
+        const springsAhead = springs.map(spring => spring.clone()); // These bounce on a fixed beat
+        
+        for (let frame = 1; frame <= this.LOOKAHEAD_FRAMES; frame++) {
+            // Same order as player.update(): climb or fall, move, then land
+            if (climbing) {
+                if (move.climb) {
+                    bottom += move.climb * CLIMB_SPEED;
+                    if (move.climb < 0 ? bottom <= move.stopY : bottom >= move.stopY) {
+                        bottom = move.stopY;
+                        climbing = false;
+                        airborne = false;
+                    }
+                }
+            } else if (airborne) {
+                vy += levelSettings.gravity;
+                if (jumpStart - bottom >= player.maxJumpHeight && vy < 0) vy = 0;
+                bottom += vy;
+            }
+            const carried = climbing || airborne ? 0 : belt;
+            x = Math.max(halfWidth, Math.min(WORLD_WIDTH - halfWidth, x + move.dir * PLAYER_SPEED + carried));
+            
+            // Follow the girder underfoot (and any conveyor it has), and fall once it runs out
+            if (!climbing) {
+                const support = Navigation.platformBelow(platforms, x, bottom);
+                const groundY = support === -1 ? Infinity
+                    : PlatformGeometry.getAngledPlatformY(x, platforms[support], 0);
+                if (!airborne && groundY > bottom + PLAYER_SPEED) {
+                    airborne = true;
+                    vy = 0;
+                } else if (bottom >= groundY || !airborne) {
+                    if (airborne && groundY - fallStart > FALL_DEATH_HEIGHT) return frame;
+                    bottom = groundY;
+                    fallStart = bottom;
+                    vy = 0;
+                    airborne = false;
+                    belt = PlatformGeometry.surfaceSpeed(platforms[support]);
+                }
+            }
+            if (move.dir !== 0) facingRight = move.dir > 0;
+            enemies.forEach(enemy => {
+                if (enemy.falling) enemy.vy += levelSettings.gravity;
+                if (enemy.pull) {
+                    enemy.vx = Math.max(-levelSettings.barrelSpeed,
+                        Math.min(levelSettings.barrelSpeed, enemy.vx + enemy.pull));
+                }
+                enemy.x += enemy.vx;
+                enemy.y += enemy.vy;
+            });
+            springsAhead.forEach(spring => spring.update());
+            
+            // The hammer smashes what it touches before anything can hit the player
+            if (frame < player.hammerTimer) {
+                const hitbox = {
+                    x: facingRight ? x : x - halfWidth - HAMMER_REACH,
+                    y: bottom - player.height - HAMMER_REACH,
+                    width: halfWidth + HAMMER_REACH,
+                    height: player.height + HAMMER_REACH
+                };
+                enemies = enemies.filter(enemy => !circleTouchesRect(enemy, hitbox));
+            }
+            if (player.invincible && frame < player.invincibilityTimer) continue;
+            
+            const centerY = bottom - player.height / 2;
+            for (const enemy of enemies) {
+                const top = enemy.y - enemy.radius;
+                const overlap = Math.abs(x - enemy.x) < halfWidth + enemy.radius;
+                if (overlap && airborne && bottom < top + 5 && !enemy.scored) {
+                    enemy.scored = true; // Jumped over
+                    continue;
+                }
+                if (Math.hypot(x - enemy.x, centerY - enemy.y) < playerRadius + enemy.radius) {
+                    return frame;
+                }
+            }
+            const body = { x, y: centerY, radius: playerRadius };
+            if (springsAhead.some(spring => circleTouchesRect(body, spring.hitbox()))) return frame;
+        }
+        return this.LOOKAHEAD_FRAMES + 1;
+    }
+};
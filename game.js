@@ -1,18 +1,10 @@
-// Game constants
-const GRAVITY = 0.6;
-const JUMP_POWER = -9;
-const PLAYER_SPEED = 4;
-const BARREL_SPEED = 2.5;
-const BARREL_SPAWN_INTERVAL = 180;
-const INVINCIBILITY_TIME = 120; // 2 seconds at 60fps
-
 // Canvas setup with responsive sizing
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 
 function resizeCanvas() {
-    const maxWidth = 800;
-    const maxHeight = 700;  // Increased from 600 to 700
+    const maxWidth = WORLD_WIDTH;
+    const maxHeight = WORLD_HEIGHT;
     const aspectRatio = maxWidth / maxHeight;
     
     let width = Math.min(window.innerWidth - 40, maxWidth);
@@ -35,6 +27,16 @@ window.addEventListener('resize', resizeCanvas);
 // Storage Manager for high score persistence
 const StorageManager = {
     STORAGE_KEY: 'kiroKongHighScore',
+    SETTINGS_KEY: 'kiroKongSettings',
+    DEFAULT_SETTINGS: {
+        musicVolume: 1,
+        sfxVolume: 1,
+        touchControls: 'auto', // 'auto' follows screen width, or 'show'/'hide'
+        touchLayout: 'right',  // Side of the JUMP button
+        bindings: {},          // Remapped keys by action; missing actions use the defaults
+        difficulty: 'normal',  // Key of DIFFICULTIES, chosen on the title screen
+        adaptive: false        // Ease off after repeated deaths on one stage
+    },
     
     // Get high score from local storage
     getHighScore() {
@@ -60,37 +62,221 @@ const StorageManager = {
     // Check if current score is a new high score
     isNewHighScore(currentScore) {
         return currentScore > this.getHighScore();
+    },
+    
+    // Load pause menu settings, filling in defaults for anything missing
+    getSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.SETTINGS_KEY));
+            return { ...this.DEFAULT_SETTINGS, ...stored };
+        } catch (e) {
+            console.warn('Failed to load settings:', e);
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    },
+    
+    saveSettings(settings) {
+        try {
+            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Failed to save settings:', e);
+        }
     }
 };
 
-// Game state
-let gameState = 'start'; // 'start', 'playing', 'levelComplete', 'gameOver'
-let score = 0;
-let highScore = StorageManager.getHighScore(); // Initialize high score on game start
-let lives = 3;
-let frameCount = 0;
-let barrelSpawnTimer = 0;
-
-// Input handling
-const keys = {};
-const mobileInput = {
-    left: false,
-    right: false,
-    up: false,
-    down: false,
-    jump: false
+const settings = StorageManager.getSettings();
+
+// URL options, e.g. index.html?seed=12345&level=levels/example.json
+const urlParams = new URLSearchParams(window.location.search);
+if (urlParams.has('seed')) {
+    const seedParam = parseInt(urlParams.get('seed'), 10);
+    if (!isNaN(seedParam)) Random.fixedSeed = seedParam >>> 0;
+}
+Random.reseed();
+
+// Input handling: keyboard bindings, touch buttons and gamepads all resolve to the same actions
+const InputManager = {
+    ACTIONS: ['left', 'right', 'up', 'down', 'jump', 'pause'],
+    DEFAULT_BINDINGS: {
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD'],
+        up: ['ArrowUp', 'KeyW'],
+        down: ['ArrowDown', 'KeyS'],
+        jump: ['Space', 'KeyZ'],
+        pause: ['Escape', 'KeyP']
+    },
+    MAX_KEYS_PER_ACTION: 2,
+    // Keys with fixed jobs that are checked before the bindings: the debug overlay
+    // (` B N - =), the title and game over shortcuts (L E O X R) and T while playtesting
+    RESERVED_KEYS: ['Backquote', 'KeyB', 'KeyN', 'Minus', 'Equal', 'KeyL', 'KeyE', 'KeyO', 'KeyX', 'KeyR', 'KeyT'],
+    // Standard gamepad mapping: A, Start and the D-pad
+    GAMEPAD_BUTTONS: { jump: [0], pause: [9], up: [12], down: [13], left: [14], right: [15] },
+    STICK_DEADZONE: 0.3,   // Left stick travel ignored around the centre
+    bindings: null,        // Action -> key codes, from settings
+    keys: {},              // Key codes currently held
+    touch: {},             // Actions held on the on-screen buttons
+    gamepad: {},           // Actions held on any controller, updated by pollGamepads()
+    jumpQueued: false,     // Jump pressed since the last frame
+    
+    // Saved bindings over the defaults, ignoring anything malformed
+    setBindings(saved) {
+        this.bindings = {};
+        for (const action of this.ACTIONS) {
+            const codes = saved && saved[action];
+            this.bindings[action] = Array.isArray(codes) ? codes : this.DEFAULT_BINDINGS[action];
+        }
+    },
+    
+    actionFor(code) {
+        return this.ACTIONS.find(action => this.bindings[action].includes(code)) || null;
+    },
+    
+    isHeld(action) {
+        return Boolean(this.bindings[action].some(code => this.keys[code]) ||
+            this.touch[action] || this.gamepad[action]);
+    },
+    
+    // A key went down; returns true if it is bound to an action
+    keyDown(code, repeat) {
+        const action = this.actionFor(code);
+        if (action && !repeat) this.press(action);
+        return action !== null;
+    },
+    
+    touchStart(action) {
+        this.touch[action] = true;
+        this.press(action);
+    },
+    
+    touchEnd(action) {
+        this.touch[action] = false;
+    },
+    
+    // Newly pressed action from any source
+    press(action) {
+        initAudio(); // Browsers only allow audio after a user gesture
+        if (AttractMode.interrupt() || ReplayPlayer.active) return;
+        
+        if (gameState === 'paused') {
+            PauseMenu.handleAction(action);
+        } else if (action === 'pause') {
+            PauseMenu.open();
+        } else if (action === 'jump') {
+            this.pressJump();
+        } else if (gameState === 'start') {
+            // LEFT/RIGHT pick the difficulty, UP/DOWN toggle adaptive mode
+            if (action === 'left' || action === 'right') {
+                changeDifficulty(action === 'left' ? -1 : 1);
+            } else if (action === 'up' || action === 'down') {
+                changeDifficulty(0, !settings.adaptive);
+            }
+        }
+    },
+    
+    // Jump also confirms the title and between-level screens
+    pressJump() {
+        if (Editor.playtesting && (gameState === 'levelComplete' || gameState === 'gameOver')) {
+            Editor.togglePlaytest(); // Back to editing after a playtest ends
+        } else if (gameState === 'start') {
+            startGame();
+        } else if (gameState === 'levelComplete') {
+            nextLevel();
+        } else if (gameState === 'gameOver') {
+            restartGame();
+        } else if (gameState === 'playing') {
+            this.jumpQueued = true; // Applied at the start of the next frame
+        }
+    },
+    
+    // Gamepads have no events for buttons, so read them once per tick and press on the rising edge
+    pollGamepads() {
+        if (!navigator.getGamepads) return;
+        const held = {};
+        for (const pad of navigator.getGamepads()) {
+            if (!pad) continue;
+            for (const [action, buttons] of Object.entries(this.GAMEPAD_BUTTONS)) {
+                if (buttons.some(i => pad.buttons[i] && pad.buttons[i].pressed)) held[action] = true;
+            }
+            const x = pad.axes[0] || 0;
+            const y = pad.axes[1] || 0;
+            if (x < -this.STICK_DEADZONE) held.left = true;
+            if (x > this.STICK_DEADZONE) held.right = true;
+            if (y < -this.STICK_DEADZONE) held.up = true;
+            if (y > this.STICK_DEADZONE) held.down = true;
+        }
+        for (const action of this.ACTIONS) {
+            if (held[action] && !this.gamepad[action]) this.press(action);
+        }
+        this.gamepad = held;
+    },
+    
+    // Bind a key to an action as its main key; the old main key becomes the alternative
+    bind(action, code) {
+        const bindings = {};
+        for (const other of this.ACTIONS) {
+            bindings[other] = this.bindings[other].filter(bound => bound !== code);
+        }
+        bindings[action] = [code, ...bindings[action]].slice(0, this.MAX_KEYS_PER_ACTION);
+        return bindings;
+    },
+    
+    // Resolve everything held into this frame's simulation input
+    read() {
+        const input = {
+            left: this.isHeld('left'),
+            right: this.isHeld('right'),
+            up: this.isHeld('up'),
+            down: this.isHeld('down'),
+            jump: this.jumpQueued,
+            restart: PauseMenu.restartQueued
+        };
+        this.jumpQueued = false;
+        PauseMenu.restartQueued = false;
+        return input;
+    }
 };
 
+// Readable key name for menus, e.g. KeyA -> A, ArrowLeft -> LEFT
+function keyLabel(code) {
+    return code.replace(/^(Key|Digit|Arrow)/, '').toUpperCase();
+}
+
 window.addEventListener('keydown', (e) => {
-    keys[e.code] = true;
-    if (e.code === 'Space') {
+    InputManager.keys[e.code] = true;
+    if (AttractMode.interrupt()) {
+        e.preventDefault(); // The key only ends the demo
+    } else if (gameState !== 'editor' && !PauseMenu.rebinding && DebugOverlay.handleKey(e.code)) {
+        // Editor keys and keys being rebound come first, so the overlay stays out of their way
+        e.preventDefault();
+    } else if (ReplayPlayer.active) {
+        // Replays ignore gameplay input and only take playback controls
         e.preventDefault();
-        handleSpacePress();
+        ReplayPlayer.handleKey(e.code);
+    } else if (PauseMenu.rebinding) {
+        e.preventDefault();
+        PauseMenu.finishRebind(e.code);
+    } else if (gameState === 'editor' || (Editor.playtesting && e.code === 'KeyT')) {
+        e.preventDefault();
+        Editor.handleKey(e.code);
+    } else if (e.code === 'KeyL' && gameState === 'start') {
+        levelFileInput.click(); // Pick a level JSON file from disk
+    } else if (e.code === 'KeyE' && gameState === 'start') {
+        Editor.open(campaign[(level - 1) % campaign.length]);
+    } else if (e.code === 'KeyO' && gameState === 'start') {
+        replayFileInput.click(); // Pick a replay file from disk
+    } else if (e.code === 'KeyX' && !e.repeat && (gameState === 'gameOver' || gameState === 'levelComplete')) {
+        saveReplay(); // Not S, which moves down and would save again on every key repeat
+    } else if (e.code === 'KeyR' && gameState === 'gameOver' && InputRecorder.recording) {
+        ReplayPlayer.start(InputRecorder.recording); // Watch the game that just ended
+    } else if (InputManager.keyDown(e.code, e.repeat)) {
+        e.preventDefault();
+    } else if (gameState === 'paused') {
+        PauseMenu.handleKey(e.code);
     }
 });
 
 window.addEventListener('keyup', (e) => {
-    keys[e.code] = false;
+    InputManager.keys[e.code] = false;
 });
 
 // Mobile controls
@@ -100,39 +286,40 @@ function setupMobileControls() {
         rightBtn: 'right',
         upBtn: 'up',
         downBtn: 'down',
-        jumpBtn: 'jump'
+        jumpBtn: 'jump',
+        pauseBtn: 'pause'
     };
     
     Object.entries(buttons).forEach(([id, action]) => {
         const btn = document.getElementById(id);
         btn.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            initAudio(); // Initialize audio on any touch
-            mobileInput[action] = true;
-            if (action === 'jump') handleSpacePress();
+            InputManager.touchStart(action);
         });
         btn.addEventListener('touchend', (e) => {
             e.preventDefault();
-            mobileInput[action] = false;
+            InputManager.touchEnd(action);
         });
     });
+    
+    // The pause button is also shown on desktop when touch buttons are forced on
+    document.getElementById('pauseBtn').addEventListener('click', () => InputManager.press('pause'));
+}
+
+// Show or hide the on-screen buttons and put JUMP on the chosen side
+function applyControlSettings() {
+    const display = { auto: '', show: 'flex', hide: 'none' }[settings.touchControls];
+    document.getElementById('mobileControls').style.display = display;
+    document.getElementById('pauseBtn').style.display = display;
+    document.getElementById('jumpBtn').style.order = settings.touchLayout === 'left' ? '-1' : '';
 }
 
 setupMobileControls();
 
-function handleSpacePress() {
-    initAudio(); // Initialize audio on first interaction
-    
-    if (gameState === 'start') {
-        startGame();
-    } else if (gameState === 'levelComplete') {
-        restartLevel();
-    } else if (gameState === 'gameOver') {
-        restartGame();
-    } else if (gameState === 'playing') {
-        player.jump();
-    }
-}
+// Pause automatically when the tab is hidden
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden && !AttractMode.interrupt()) PauseMenu.open();
+});
 
 // Load Kiro logo
 const kiroImage = new Image();
@@ -147,6 +334,14 @@ const AudioSystem = {
     bgMusicSource: null,
     bgMusicGain: null,
     useWebAudio: true,
+    musicVolume: 1,  // Player settings, scaling the base levels below
+    sfxVolume: 1,
+    MUSIC_LEVEL: 0.4,
+    JUMP_LEVEL: 0.5,
+    WALK_LEVEL: 0.3,
+    TONE_LEVEL: 0.1,
+    HURRY_RATE: 1.25,  // Music speed-up when the bonus runs low
+    hurry: false,
     
     init() {
         try {
@@ -168,24 +363,51 @@ const AudioSystem = {
             // Fallback: HTML5 Audio for background music
             this.bgMusic = new Audio('backmusic.mp3');
             this.bgMusic.loop = true;
-            this.bgMusic.volume = 0.4;
             this.bgMusic.preload = 'auto';
             
             // Load sound effects using HTML5 Audio (simpler for one-shots)
             this.jumpSound = new Audio('jump.wav');
-            this.jumpSound.volume = 0.5;
-            
             this.walkSound = new Audio('walking.wav');
-            this.walkSound.volume = 0.3;
+            this.setVolumes(this.musicVolume, this.sfxVolume);
         } catch (e) {
             console.warn('Web Audio API not supported');
             this.useWebAudio = false;
         }
     },
     
+    // Apply the settings volumes (0-1) to everything that is playing or loaded
+    setVolumes(music, sfx) {
+        this.musicVolume = music;
+        this.sfxVolume = sfx;
+        if (this.bgMusic) this.bgMusic.volume = this.MUSIC_LEVEL * music;
+        if (this.bgMusicGain) this.bgMusicGain.gain.value = this.MUSIC_LEVEL * music;
+        if (this.jumpSound) this.jumpSound.volume = this.JUMP_LEVEL * sfx;
+        if (this.walkSound) this.walkSound.volume = this.WALK_LEVEL * sfx;
+    },
+    
+    // Freeze the music where it is and silence the walking loop (pause menu)
+    suspend() {
+        this.stopWalk();
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+        if (this.bgMusic && this.musicPlaying && !this.bgMusicSource) {
+            this.bgMusic.pause();
+        }
+    },
+    
+    resume() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        if (this.bgMusic && this.musicPlaying && !this.bgMusicSource) {
+            this.bgMusic.play().catch(e => console.warn('Music resume failed:', e));
+        }
+    },
+    
     // Create a simple tone
     playTone(frequency, duration, type = 'square') {
-        if (!this.audioContext) return;
+        if (!this.audioContext || this.sfxVolume === 0) return;
         
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
@@ -196,8 +418,9 @@ const AudioSystem = {
         oscillator.frequency.value = frequency;
         oscillator.type = type;
         
-        gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
+        const level = this.TONE_LEVEL * this.sfxVolume;
+        gainNode.gain.setValueAtTime(level, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(level / 10, this.audioContext.currentTime + duration);
         
         oscillator.start(this.audioContext.currentTime);
         oscillator.stop(this.audioContext.currentTime + duration);
@@ -258,7 +481,7 @@ const AudioSystem = {
         });
     },
     
-    // Game over sound
+    // Game over sound, played once the last death sequence has finished
     playGameOver() {
         if (!this.audioContext) return;
         const notes = [400, 350, 300, 250];
@@ -281,13 +504,14 @@ const AudioSystem = {
             try {
                 // Create gain node for volume control
                 this.bgMusicGain = this.audioContext.createGain();
-                this.bgMusicGain.gain.value = 0.4;
+                this.bgMusicGain.gain.value = this.MUSIC_LEVEL * this.musicVolume;
                 this.bgMusicGain.connect(this.audioContext.destination);
                 
                 // Create and start the source
                 this.bgMusicSource = this.audioContext.createBufferSource();
                 this.bgMusicSource.buffer = this.bgMusicBuffer;
                 this.bgMusicSource.loop = true; // Seamless looping!
+                this.bgMusicSource.playbackRate.value = this.hurry ? this.HURRY_RATE : 1;
                 this.bgMusicSource.connect(this.bgMusicGain);
                 this.bgMusicSource.start(0);
                 
@@ -303,6 +527,7 @@ const AudioSystem = {
         if (this.bgMusic) {
             this.musicPlaying = true;
             this.bgMusic.currentTime = 0;
+            this.bgMusic.playbackRate = this.hurry ? this.HURRY_RATE : 1;
             
             // Force play with promise handling for mobile
             const playPromise = this.bgMusic.play();
@@ -319,6 +544,14 @@ const AudioSystem = {
         }
     },
     
+    // Speed the music up while the bonus is running out
+    setHurry(hurry) {
+        this.hurry = hurry;
+        const rate = hurry ? this.HURRY_RATE : 1;
+        if (this.bgMusicSource) this.bgMusicSource.playbackRate.value = rate;
+        if (this.bgMusic) this.bgMusic.playbackRate = rate;
+    },
+    
     stopMusic() {
         this.musicPlaying = false;
         
@@ -357,1118 +590,1520 @@ function initAudio() {
     }
 }
 
-// Platform and ladder definitions
-// Platforms with alternating angles: +15° and -15°
-const platforms = [
-    { x: 0, y: 650, width: 800, height: 20, angle: 0 }, // Bottom - moved down 100px
-    { x: 50, y: 540, width: 725, height: 20, angle: -2 }, // index 1
-    { x: 25, y: 430, width: 700, height: 20, angle: 2 }, // indcx 2
-    { x: 75, y: 320, width: 700, height: 20, angle: -2 }, // index 3
-    { x: 25, y: 210, width: 700, height: 20, angle: 2 }, // index 4
-    { x: 100, y: 100, width: 700, height: 20, angle: -2  }  // Very top for DK
-];
-
-const ladders = [
-    { x: 150, y: 545, width: 30, height: 105 },  // Bottom (650) to platform 1 (540)
-    { x: 600, y: 435, width: 30, height: 105 },  // Platform 1 (540) to 2 (430)
-    { x: 200, y: 325, width: 30, height: 105 },  // Platform 2 (430) to 3 (320)
-    { x: 550, y: 210, width: 30, height: 110 },  // Platform 3 (320) to 4 (210) - extended
-    { x: 150, y: 105, width: 30, height: 100 }    // Platform 4 (210) to top (100) - much taller
-];
-
-// Player object
-const player = {
-    x: 50,
-    y: 600,  // Adjusted for new platform height
-    width: 40,
-    height: 40,
-    vx: 0,
-    vy: 0,
-    onGround: false,
-    onLadder: false,
-    climbing: false,
-    invincible: false,
-    invincibilityTimer: 0,
-    maxJumpHeight: 80,  // Maximum vertical distance (less than platform spacing)
-    jumpStartY: 0,      // Y position when jump started
-    facingRight: true,  // Track which direction player is facing
-    
-    reset() {
-        this.x = 50;
-        this.y = 600;  // Adjusted for new platform height
-        this.vx = 0;
-        this.vy = 0;
-        this.onGround = false;
-        this.climbing = false;
-        this.invincible = true;
-        this.invincibilityTimer = INVINCIBILITY_TIME;
-    },
+// Particle class for visual effects
+class Particle {
+    constructor(x, y, vx, vy, color, lifetime, type, text = '') {
+        this.x = x;
+        this.y = y;
+        this.vx = vx;
+        this.vy = vy;
+        this.color = color;
+        this.lifetime = lifetime;
+        this.maxLifetime = lifetime;
+        this.type = type;
+        this.text = text; // Label for 'text' particles
+        this.size = Random.cosmetic.next() * 2 + 2; // 2-4 pixels
+    }
     
     update() {
-        if (this.invincible) {
-            this.invincibilityTimer--;
-            if (this.invincibilityTimer <= 0) {
-                this.invincible = false;
-            }
-        }
+        // Update position
+        this.x += this.vx;
+        this.y += this.vy;
         
-        // Check if on ladder
-        this.onLadder = false;
-        for (let ladder of ladders) {
-            if (this.x + this.width > ladder.x && 
-                this.x < ladder.x + ladder.width &&
-                this.y + this.height > ladder.y && 
-                this.y < ladder.y + ladder.height) {
-                this.onLadder = true;
-                break;
-            }
+        // Apply gravity (text floats straight up)
+        if (this.type !== 'text') {
+            this.vy += GRAVITY * 0.3;
         }
         
-        // Horizontal movement
-        const moveLeft = keys['ArrowLeft'] || mobileInput.left;
-        const moveRight = keys['ArrowRight'] || mobileInput.right;
-        const moveUp = keys['ArrowUp'] || mobileInput.up;
-        const moveDown = keys['ArrowDown'] || mobileInput.down;
-        
-        // Horizontal movement (always allow left/right to exit ladders)
-        if (moveLeft) {
-            this.vx = -PLAYER_SPEED;
-            this.facingRight = false;
-            if (this.onGround && !this.climbing) {
-                AudioSystem.playWalk();
-            }
-        } else if (moveRight) {
-            this.vx = PLAYER_SPEED;
-            this.facingRight = true;
-            if (this.onGround && !this.climbing) {
-                AudioSystem.playWalk();
-            }
-        } else {
-            this.vx = 0;
-            AudioSystem.stopWalk();
-        }
+        // Decrease lifetime
+        this.lifetime--;
+    }
+    
+    draw(ctx) {
+        // Fade out based on remaining lifetime
+        const alpha = this.lifetime / this.maxLifetime;
+        ctx.globalAlpha = alpha;
         
-        // Ladder climbing
-        if (this.onLadder) {
-            if (moveUp) {
-                this.climbing = true;
-                this.vy = -3;
-                this.onGround = false;
-            } else if (moveDown) {
-                this.climbing = true;
-                this.vy = 3;
-                this.onGround = false; // Allow starting to climb down
-            } else if (this.climbing) {
-                this.vy = 0;
-            }
-            
-            // Exit ladder if moving horizontally
-            if (moveLeft || moveRight) {
-                this.climbing = false;
-            }
+        if (this.type === 'text') {
+            ctx.font = 'bold 16px Courier New';
+            ctx.textAlign = 'center';
+            ctx.strokeStyle = 'black';
+            ctx.lineWidth = 3;
+            ctx.strokeText(this.text, this.x, this.y);
+            ctx.fillStyle = this.color;
+            ctx.fillText(this.text, this.x, this.y);
+            ctx.textAlign = 'left';
         } else {
-            // Stop climbing when off ladder
-            this.climbing = false;
-        }
-        
-        // Apply gravity when not climbing
-        if (!this.climbing) {
-            this.vy += GRAVITY;
-        }
-        
-        // Limit jump height to prevent level-skipping (but not when climbing)
-        // Cap upward velocity when max height reached
-        if (!this.climbing && this.jumpStartY - this.y >= this.maxJumpHeight && this.vy < 0) {
-            this.vy = 0;  // Stop upward movement
+            ctx.fillStyle = this.color;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+            ctx.fill();
         }
         
-        // Update position
-        this.x += this.vx;
-        this.y += this.vy;
-        
-        // Boundary check
-        if (this.x < 0) this.x = 0;
-        if (this.x + this.width > canvas.width) this.x = canvas.width - this.width;
-        
-        // Platform collision with angled surfaces
-        this.onGround = false;
+        ctx.globalAlpha = 1.0;
+    }
+    
+    isDead() {
+        return this.lifetime <= 0;
+    }
+}
+
+// Particle System for managing all particle effects
+const ParticleSystem = {
+    particles: [],
+    MAX_PARTICLES: 200,
+    
+    // Create explosion effect at position
+    createExplosion(x, y) {
+        const colors = ['#FF6600', '#FF0000', '#FFFF00']; // orange, red, yellow
+        const particleCount = Math.floor(Random.cosmetic.next() * 6) + 15; // 15-20 particles
         
-        // Only check platform collision if NOT climbing up
-        if (!(this.climbing && this.vy < 0)) {
-            for (let platform of platforms) {
-                // Use angled collision detection
-                if (PlatformGeometry.checkAngledCollision(this, platform, this.width, this.height)) {
-                    // Check if we're at the bottom of a ladder (climbing down)
-                    let atLadderBottom = false;
-                    if (this.climbing && this.vy > 0) { // Climbing down
-                        // Check if there's a ladder below us
-                        for (let ladder of ladders) {
-                            const playerCenterX = this.x + this.width / 2;
-                            // If player is on a ladder and the ladder bottom is at or above this platform
-                            if (playerCenterX > ladder.x && 
-                                playerCenterX < ladder.x + ladder.width &&
-                                this.y + this.height >= ladder.y + ladder.height - 10) {
-                                atLadderBottom = true;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // Only stop if not climbing, or if climbing down and at ladder bottom
-                    if (!this.climbing || atLadderBottom) {
-                        // Position player on angled platform surface
-                        const playerCenterX = this.x + this.width / 2;
-                        this.y = PlatformGeometry.getAngledPlatformY(playerCenterX, platform, this.height);
-                        this.vy = 0;
-                        this.onGround = true;
-                        this.climbing = false;
-                    }
-                }
-            }
+        for (let i = 0; i < particleCount; i++) {
+            // Radial velocity distribution (360 degrees)
+            const angle = (Math.PI * 2 * i) / particleCount + Random.cosmetic.next() * 0.5;
+            const speed = Random.cosmetic.next() * 3 + 3; // 3-6 pixels per frame
+            const vx = Math.cos(angle) * speed;
+            const vy = Math.sin(angle) * speed;
+            
+            const color = colors[Math.floor(Random.cosmetic.next() * colors.length)];
+            const lifetime = Math.floor(Random.cosmetic.next() * 16) + 30; // 30-45 frames
+            
+            this.addParticle(new Particle(x, y, vx, vy, color, lifetime, 'explosion'));
         }
+    },
+    
+    // Create confetti effect from top of screen
+    createConfetti() {
+        const colors = ['#790ECB', '#FFD700', '#00FFFF', '#FF69B4']; // purple, yellow, cyan, pink
+        const particleCount = Math.floor(Random.cosmetic.next() * 31) + 50; // 50-80 particles
         
-        // Fall off bottom
-        if (this.y > canvas.height) {
-            this.loseLife();
+        for (let i = 0; i < particleCount; i++) {
+            // Random horizontal positions across screen width
+            const x = Random.cosmetic.next() * canvas.width;
+            const y = -10; // Start just above screen
+            
+            // Initial downward velocity with horizontal drift
+            const vx = (Random.cosmetic.next() - 0.5) * 4; // -2 to 2 horizontal drift
+            const vy = Random.cosmetic.next() * 2 + 1; // 1-3 downward
+            
+            const color = colors[Math.floor(Random.cosmetic.next() * colors.length)];
+            const lifetime = Math.floor(Random.cosmetic.next() * 61) + 120; // 120-180 frames
+            
+            this.addParticle(new Particle(x, y, vx, vy, color, lifetime, 'confetti'));
         }
     },
     
-    jump() {
-        if (this.onGround && !this.climbing) {
-            this.vy = JUMP_POWER;
-            this.jumpStartY = this.y;  // Track where jump started
-            this.onGround = false;
-            AudioSystem.playJump();
-        }
+    // Create a label that rises and fades, e.g. points scored
+    createText(x, y, text) {
+        this.addParticle(new Particle(x, y, 0, -1, '#FFD700', 60, 'text', text));
     },
     
-    loseLife() {
-        lives--;
-        AudioSystem.playDeath(); // Play dramatic death sound
-        if (lives <= 0) {
-            gameState = 'gameOver';
-            AudioSystem.stopMusic();
-            setTimeout(() => AudioSystem.playGameOver(), 400); // Delay game over sound
-        } else {
-            this.reset();
+    // Add particle to system with limit check
+    addParticle(particle) {
+        if (this.particles.length < this.MAX_PARTICLES) {
+            this.particles.push(particle);
         }
     },
     
-    draw() {
-        // Flicker when invincible
-        if (this.invincible && Math.floor(frameCount / 10) % 2 === 0) {
-            return;
-        }
-        
-        ctx.save();
-        
-        // Flip horizontally if facing left
-        if (!this.facingRight) {
-            ctx.translate(this.x + this.width, this.y);
-            ctx.scale(-1, 1);
+    // Update all active particles
+    update() {
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            this.particles[i].update();
             
-            if (kiroImage.complete) {
-                ctx.drawImage(kiroImage, 0, 0, this.width, this.height);
-            } else {
-                ctx.fillStyle = '#790ECB';
-                ctx.fillRect(0, 0, this.width, this.height);
-            }
-        } else {
-            if (kiroImage.complete) {
-                ctx.drawImage(kiroImage, this.x, this.y, this.width, this.height);
-            } else {
-                ctx.fillStyle = '#790ECB';
-                ctx.fillRect(this.x, this.y, this.width, this.height);
+            // Remove dead particles
+            if (this.particles[i].isDead()) {
+                this.particles.splice(i, 1);
             }
         }
-        
-        ctx.restore();
+    },
+    
+    // Draw all active particles
+    draw(ctx) {
+        for (let particle of this.particles) {
+            particle.draw(ctx);
+        }
     }
 };
 
-// Barrel object
-class Barrel {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.radius = 15; // Changed from width/height to radius
-        this.vx = BARREL_SPEED;
-        this.vy = 0;
-        this.rotation = 0;
-        this.onPlatform = false;
-        this.currentPlatform = null;
-        this.scored = false; // Track if player already scored from jumping this barrel
+// Plug the browser's audio, particles and storage into the simulation. The silent
+// defaults are kept for the attract mode demo.
+const SilentAdapters = { audio: Adapters.audio, storage: Adapters.storage };
+Adapters.audio = AudioSystem;
+Adapters.effects = {
+    explosion: (x, y) => ParticleSystem.createExplosion(x, y),
+    confetti: () => ParticleSystem.createConfetti(),
+    text: (x, y, text) => ParticleSystem.createText(x, y, text)
+};
+Adapters.storage = StorageManager;
+highScore = StorageManager.getHighScore(); // Initialize high score on game start
+
+// One frame: feed input to the simulation, then advance visual effects
+function update() {
+    AttractMode.tick();
+    
+    // Replays skip the "press SPACE" screen between levels
+    if (ReplayPlayer.active && gameState === 'levelComplete') {
+        nextLevel();
     }
     
-    checkPlatformEdge() {
-        // Check if barrel center is beyond current platform bounds
-        if (this.currentPlatform) {
-            const platformLeft = this.currentPlatform.x;
-            const platformRight = this.currentPlatform.x + this.currentPlatform.width;
-            
-            // Barrel is at edge if center is beyond platform bounds
-            if (this.x < platformLeft || this.x > platformRight) {
-                return true;
-            }
-        }
-        return false;
+    if (gameState !== 'playing') return;
+    
+    // Input comes from the keyboard/touch controls, a recording or the demo's autopilot
+    if (AttractMode.active) {
+        step(Autopilot.read());
+    } else {
+        step(ReplayPlayer.active ? ReplayPlayer.nextInput() : InputManager.read());
     }
     
-    update() {
-        // Update rotation proportional to horizontal velocity before moving
-        // Rotation is based on distance traveled: angle = distance / radius
-        // This creates realistic rolling motion
-        if (this.vx !== 0) {
-            this.rotation += this.vx / this.radius;
-        }
-        
-        // Maintain rotation during falling by adding vertical component
-        // This ensures continuous rotation animation when falling between platforms
-        if (this.vy !== 0 && !this.onPlatform) {
-            // Add slight rotation based on vertical velocity to show tumbling
-            this.rotation += this.vy * 0.02;
+    // Update particle system
+    ParticleSystem.update();
+}
+
+// Drop the current game and show the title screen with the first stage
+function quitToTitle() {
+    level = 1;
+    loadStage(level);
+    barrels = [];
+    fireballs = [];
+    cementPans = [];
+    springs = [];
+    gameState = 'start';
+    AudioSystem.stopMusic();
+    AudioSystem.stopWalk();
+}
+
+// Step through the difficulty presets from the title screen and remember the choice
+function changeDifficulty(direction, adaptive = settings.adaptive) {
+    const names = Object.keys(DIFFICULTIES);
+    const index = (names.indexOf(settings.difficulty) + direction + names.length) % names.length;
+    settings.difficulty = names[index];
+    settings.adaptive = adaptive;
+    StorageManager.saveSettings(settings);
+    setDifficulty(settings.difficulty, settings.adaptive);
+}
+
+// Download the current recording as a compact JSON file
+function saveReplay() {
+    if (!InputRecorder.recording) return;
+    const data = { ...InputRecorder.recording, score, level };
+    downloadFile(`kiro-kong-replay-${data.seed}.json`, JSON.stringify(data));
+}
+
+// Replay playback through the normal update() loop
+const ReplayPlayer = {
+    SPEEDS: [1, 2, 4, 8],
+    active: false,
+    recording: null,
+    runIndex: 0,          // Position in the run-length encoded frames
+    runFrame: 0,
+    frame: 0,
+    totalFrames: 0,
+    paused: false,
+    finished: false,
+    speedIndex: 0,
+    stepRequested: false,
+    savedCampaign: null,  // Restored when the replay ends
+    
+    start(recording) {
+        this.recording = recording;
+        this.runIndex = 0;
+        this.runFrame = 0;
+        this.frame = 0;
+        this.totalFrames = recording.frames.reduce((sum, run) => sum + run[1], 0);
+        this.paused = false;
+        this.finished = false;
+        this.speedIndex = 0;
+        this.stepRequested = false;
+        this.savedCampaign = campaign;
+        this.active = true;
+        
+        campaign = recording.stages || STAGES;
+        setDifficulty(recording.difficulty, recording.adaptive);
+        startGame(recording.seed, false);
+    },
+    
+    stop() {
+        this.active = false;
+        campaign = this.savedCampaign;
+        setDifficulty(settings.difficulty, settings.adaptive);
+        quitToTitle();
+    },
+    
+    // Input for the next frame; neutral once the recording runs out
+    nextInput() {
+        const run = this.recording.frames[this.runIndex];
+        if (!run) {
+            this.finished = true;
+            return InputRecorder.decode(0);
         }
         
-        // Apply gravity when not on platform
-        if (!this.onPlatform) {
-            this.vy += GRAVITY;
+        this.frame++;
+        this.runFrame++;
+        if (this.runFrame >= run[1]) {
+            this.runIndex++;
+            this.runFrame = 0;
         }
-        
-        // Update position
-        this.x += this.vx;
-        this.y += this.vy;
-        
-        // Keep barrel within screen bounds horizontally
-        if (this.x < this.radius) {
-            this.x = this.radius;
+        if (this.runIndex >= this.recording.frames.length) {
+            this.finished = true;
         }
-        if (this.x > canvas.width - this.radius) {
-            this.x = canvas.width - this.radius;
+        return InputRecorder.decode(run[0]);
+    },
+    
+    // How many simulation frames to run this tick (fast-forward, pause, single step)
+    stepsThisTick() {
+        if (this.finished || gameState === 'gameOver') return 0;
+        if (this.paused) {
+            const steps = this.stepRequested ? 1 : 0;
+            this.stepRequested = false;
+            return steps;
         }
-        
-        // Check if at platform edge before collision check
-        if (this.onPlatform && this.checkPlatformEdge()) {
-            this.onPlatform = false;
-            this.currentPlatform = null;
+        return this.SPEEDS[this.speedIndex];
+    },
+    
+    handleKey(code) {
+        if (code === 'Space') {
+            this.paused = !this.paused;
+        } else if (code === 'KeyF') {
+            this.speedIndex = (this.speedIndex + 1) % this.SPEEDS.length;
+        } else if (code === 'Period') {
+            this.paused = true;
+            this.stepRequested = true;
+        } else if (code === 'Escape') {
+            this.stop();
         }
-        
-        // Platform collision with angled surfaces
-        this.onPlatform = false;
-        for (let platform of platforms) {
-            // Create a temporary entity object for collision check
-            const barrelAsEntity = {
-                x: this.x - this.radius,
-                y: this.y - this.radius,
-                vy: this.vy
-            };
-            
-            if (PlatformGeometry.checkAngledCollision(barrelAsEntity, platform, this.radius * 2, this.radius * 2)) {
-                // Position barrel on angled platform surface
-                this.y = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
-                this.vy = 0;
-                this.onPlatform = true;
-                this.currentPlatform = platform;
-                
-                // Calculate which side of platform is lower
-                const platformCenterX = platform.x + platform.width / 2;
-                const leftY = PlatformGeometry.getAngledPlatformY(platform.x, platform, 0);
-                const rightY = PlatformGeometry.getAngledPlatformY(platform.x + platform.width, platform, 0);
-                
-                // Roll toward the lower side
-                if (leftY > rightY) {
-                    // Left side is lower, roll left
-                    this.vx = -BARREL_SPEED;
-                } else if (rightY > leftY) {
-                    // Right side is lower, roll right
-                    this.vx = BARREL_SPEED;
-                } else {
-                    // Flat platform - keep rolling
-                    if (this.vx === 0) this.vx = BARREL_SPEED;
-                }
-                
-                break; // Only collide with one platform at a time
-            }
+    },
+    
+    // Check a parsed replay file; returns a list of problems
+    validate(data) {
+        if (!data || typeof data !== 'object') return ['Replay must be a JSON object'];
+        const errors = [];
+        if (data.version !== InputRecorder.VERSION) errors.push(`Unsupported replay version ${data.version}`);
+        if (typeof data.seed !== 'number') errors.push('seed must be a number');
+        const isRun = run => Array.isArray(run) && run.length === 2 &&
+            Number.isInteger(run[0]) && run[0] >= 0 && Number.isInteger(run[1]) && run[1] > 0;
+        if (!Array.isArray(data.frames) || !data.frames.every(isRun)) {
+            errors.push('frames must be a list of [input, count] pairs of whole numbers, with counts above 0');
         }
-        
-        // Check if on ladder (chance to fall down)
-        for (let ladder of ladders) {
-            if (this.x + this.radius > ladder.x && 
-                this.x - this.radius < ladder.x + ladder.width &&
-                Math.abs(this.y + this.radius - ladder.y) < 5 &&
-                Math.random() < 0.02) {
-                this.vy = 2;
-                this.onPlatform = false;
-                this.currentPlatform = null;
-            }
+        if (data.stages === null) return errors;
+        if (!Array.isArray(data.stages) || data.stages.length === 0) {
+            errors.push('stages must be null or a non-empty list');
+            return errors;
         }
-    }
+        // Custom stages get the same checks as a level file
+        data.stages.forEach((stage, i) => {
+            const structureErrors = LevelLoader.checkStructure(stage);
+            const stageErrors = structureErrors.length > 0
+                ? structureErrors
+                : LevelLoader.validate(LevelLoader.normalize(stage));
+            stageErrors.forEach(error => errors.push(`stages[${i}]: ${error}`));
+        });
+        return errors;
+    },
     
-    draw() {
-        ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
-        
-        // Simple 8-bit style barrel
-        // Main barrel body (brown)
-        ctx.fillStyle = '#D2691E';
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Two horizontal metal bands (thick lines)
-        ctx.strokeStyle = '#654321';
-        ctx.lineWidth = 3;
-        
-        // Top band
-        ctx.beginPath();
-        ctx.moveTo(-this.radius, -this.radius * 0.5);
-        ctx.lineTo(this.radius, -this.radius * 0.5);
-        ctx.stroke();
-        
-        // Bottom band
-        ctx.beginPath();
-        ctx.moveTo(-this.radius, this.radius * 0.5);
-        ctx.lineTo(this.radius, this.radius * 0.5);
-        ctx.stroke();
-        
-        // Outer rim (thick)
-        ctx.strokeStyle = '#654321';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.stroke();
-        
-        ctx.restore();
+    loadFromFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            let errors;
+            try {
+                data = JSON.parse(reader.result);
+                errors = this.validate(data);
+            } catch (e) {
+                errors = [`Not valid JSON (${e.message})`];
+            }
+            if (errors.length > 0) {
+                // Shown on the title screen alongside level file problems
+                LevelLoader.reportErrors(file.name, errors);
+                return;
+            }
+            LevelLoader.lastErrors = [];
+            if (data.stages) data.stages = data.stages.map(stage => LevelLoader.normalize(stage));
+            this.start(data);
+        };
+        reader.readAsText(file);
+    },
+    
+    draw(ctx) {
+        const status = this.finished ? 'END' : this.paused ? 'PAUSED' : `x${this.SPEEDS[this.speedIndex]}`;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, canvas.height - 36, canvas.width, 36);
+        ctx.fillStyle = '#FF4444';
+        ctx.font = 'bold 14px Courier New';
+        ctx.fillText(`REPLAY  ${this.frame}/${this.totalFrames}  ${status}`, 10, canvas.height - 20);
+        ctx.fillStyle = 'white';
+        ctx.font = '12px Courier New';
+        ctx.fillText('SPACE pause  F speed  . step  Esc exit', 10, canvas.height - 6);
     }
-}
-
-let barrels = [];
+};
 
-// Fireball class - bouncing enemy
-class Fireball {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.radius = 12;
-        this.vx = BARREL_SPEED * 0.5; // Much slower than barrels (50% speed)
-        this.vy = -2.5; // Very low initial bounce
-        this.rotation = 0;
-        this.animationFrame = 0;
-        this.scored = false;
-        this.onPlatform = false;
-        this.bounceCount = 0;
-        this.justBounced = false;
-        this.climbingDown = false;
-        this.lastLadderCheck = null; // Track which ladder we last checked
+// Attract mode: after a while on the title screen the autopilot plays a silent demo game
+const AttractMode = {
+    IDLE_FRAMES: 600,   // 10 seconds on the title screen
+    DEMO_FRAMES: 3600,  // A demo lasts a minute at most
+    END_FRAMES: 180,    // Level complete or game over stays up for 3 seconds
+    active: false,
+    idleFrames: 0,
+    frames: 0,
+    endFrames: 0,
+    savedHighScores: null, // Demo scores never count
+    savedRecording: null,  // The player's last game, still there for R and X after a demo
+    
+    // Called every update: count idle time on the title screen, or run the demo's clock
+    tick() {
+        if (!this.active) {
+            this.idleFrames = gameState === 'start' ? this.idleFrames + 1 : 0;
+            if (this.idleFrames >= this.IDLE_FRAMES) this.start();
+            return;
+        }
+        this.frames++;
+        if (gameState !== 'playing') this.endFrames++;
+        if (this.frames >= this.DEMO_FRAMES || this.endFrames >= this.END_FRAMES) this.stop();
+    },
+    
+    start() {
+        this.active = true;
+        this.idleFrames = 0;
+        this.frames = 0;
+        this.endFrames = 0;
+        this.savedHighScores = { highScore, lastHighScore };
+        this.savedRecording = InputRecorder.recording;
+        Adapters.audio = SilentAdapters.audio;
+        Adapters.storage = SilentAdapters.storage;
+        Autopilot.reset();
+        startGame(undefined, false);
+    },
+    
+    stop() {
+        this.active = false;
+        Adapters.audio = AudioSystem;
+        Adapters.storage = StorageManager;
+        highScore = this.savedHighScores.highScore;
+        lastHighScore = this.savedHighScores.lastHighScore;
+        InputRecorder.recording = this.savedRecording;
+        quitToTitle();
+    },
+    
+    // Any key, button, tap or click: end the demo, or restart the idle count.
+    // Returns true when it ended a demo, so the input does nothing else.
+    interrupt() {
+        this.idleFrames = 0;
+        if (!this.active) return false;
+        this.stop();
+        return true;
+    },
+    
+    draw(ctx) {
+        ctx.textAlign = 'center';
+        if (Math.floor(this.frames / 30) % 2 === 0) {
+            ctx.fillStyle = '#FF4444';
+            ctx.font = 'bold 48px Courier New';
+            ctx.fillText('DEMO', canvas.width / 2, canvas.height / 2 - 120);
+        }
+        ctx.fillStyle = 'white';
+        ctx.font = '16px Courier New';
+        ctx.fillText('Press any key', canvas.width / 2, canvas.height / 2 - 90);
+        ctx.textAlign = 'left';
     }
+};
+
+// Developer overlay: hitboxes, collision bands, ladder zones and frame stepping (` toggles it)
+const DebugOverlay = {
+    TIME_SCALES: [0.25, 0.5, 1, 2],
+    VELOCITY_SCALE: 6,    // Velocity arrows are drawn this many frames long
+    enabled: false,
+    paused: false,
+    stepRequested: false,
+    timeScaleIndex: 2,
+    stepBudget: 0,        // Fractional frames carried over at slow time scales
+    fps: 0,
+    fpsFrames: 0,
+    fpsStart: 0,
+    
+    handleKey(code) {
+        if (code === 'Backquote') {
+            this.enabled = !this.enabled;
+            return true;
+        }
+        if (!this.enabled) return false;
+        
+        if (code === 'KeyB') {
+            this.paused = !this.paused;
+        } else if (code === 'KeyN') {
+            this.paused = true;
+            this.stepRequested = true;
+        } else if (code === 'Minus') {
+            this.timeScaleIndex = Math.max(0, this.timeScaleIndex - 1);
+        } else if (code === 'Equal') {
+            this.timeScaleIndex = Math.min(this.TIME_SCALES.length - 1, this.timeScaleIndex + 1);
+        } else {
+            return false;
+        }
+        return true;
+    },
     
-    update() {
-        this.rotation += 0.2;
-        this.animationFrame++;
-        
-        // Apply gravity when not on platform
-        if (!this.onPlatform) {
-            this.vy += GRAVITY;
+    // Apply pause, single step and time scale to the frames the loop wants to run
+    scaleSteps(steps) {
+        if (!this.enabled) return steps;
+        if (this.paused) {
+            const stepped = this.stepRequested ? 1 : 0;
+            this.stepRequested = false;
+            return stepped;
         }
-        
-        // Update position
-        this.x += this.vx;
-        this.y += this.vy;
-        
-        // Keep within screen bounds horizontally
-        if (this.x < this.radius) {
-            this.x = this.radius;
+        this.stepBudget += steps * this.TIME_SCALES[this.timeScaleIndex];
+        const whole = Math.floor(this.stepBudget);
+        this.stepBudget -= whole;
+        return whole;
+    },
+    
+    // Count rendered frames for the FPS readout
+    countFrame(currentTime) {
+        this.fpsFrames++;
+        if (currentTime - this.fpsStart >= 1000) {
+            this.fps = Math.round(this.fpsFrames * 1000 / (currentTime - this.fpsStart));
+            this.fpsFrames = 0;
+            this.fpsStart = currentTime;
         }
-        if (this.x > canvas.width - this.radius) {
-            this.x = canvas.width - this.radius;
+    },
+    
+    drawVelocity(ctx, x, y, vx, vy) {
+        if (vx === 0 && vy === 0) return;
+        ctx.strokeStyle = '#FFFF00';
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + vx * this.VELOCITY_SCALE, y + vy * this.VELOCITY_SCALE);
+        ctx.stroke();
+    },
+    
+    drawPlatforms(ctx) {
+        // Collision boxes in each girder's rotated space, as checkAngledCollision sees them
+        for (let platform of platforms) {
+            ctx.save();
+            ctx.translate(platform.x + platform.width / 2, platform.y + platform.height / 2);
+            ctx.rotate((platform.angle * Math.PI) / 180);
+            ctx.strokeStyle = '#00FFFF';
+            ctx.strokeRect(-platform.width / 2, -platform.height / 2, platform.width, platform.height);
+            ctx.fillStyle = 'rgba(255, 0, 255, 0.35)';
+            ctx.fillRect(-platform.width / 2, platform.height / 2, platform.width, PlatformGeometry.COLLISION_TOLERANCE);
+            ctx.restore();
         }
-        
-        // Check if over a ladder - commit to climbing down
-        let overLadder = false;
-        
-        // If already climbing, keep going
-        if (this.climbingDown) {
-            overLadder = true;
-            this.vy = 2;
-            this.vx = 0;
+    },
+    
+    drawLadders(ctx) {
+        for (let ladder of ladders) {
+            // Player overlap zone (Player.update)
+            ctx.strokeStyle = '#4488FF';
+            ctx.strokeRect(ladder.x, ladder.y, ladder.width, ladder.height);
             
-            // Check if reached bottom of any ladder
-            let stillOnLadder = false;
-            for (let ladder of ladders) {
-                if (Math.abs(this.x - (ladder.x + ladder.width / 2)) < 20 &&
-                    this.y >= ladder.y && 
-                    this.y <= ladder.y + ladder.height) {
-                    stillOnLadder = true;
-                    break;
-                }
-            }
+            // Climbing down stops on a platform once the feet pass this line
+            ctx.strokeStyle = '#FF8800';
+            ctx.beginPath();
+            ctx.moveTo(ladder.x - 6, ladder.y + ladder.height - 10);
+            ctx.lineTo(ladder.x + ladder.width + 6, ladder.y + ladder.height - 10);
+            ctx.stroke();
             
-            if (!stillOnLadder) {
-                this.climbingDown = false; // Finished climbing
-            }
-        } else {
-            // Not climbing yet - check if should start (only check once per ladder)
-            for (let i = 0; i < ladders.length; i++) {
-                const ladder = ladders[i];
-                if (this.onPlatform &&
-                    this.x > ladder.x && 
-                    this.x < ladder.x + ladder.width &&
-                    this.y + this.radius >= ladder.y - 10 &&
-                    this.y + this.radius <= ladder.y + 30) {
-                    
-                    // Only roll the dice once per ladder
-                    if (this.lastLadderCheck !== i) {
-                        this.lastLadderCheck = i;
-                        
-                        // 30% chance to go down this ladder
-                        if (Math.random() < 0.3) {
-                            overLadder = true;
-                            this.climbingDown = true;
-                            
-                            // Center on ladder
-                            const ladderCenterX = ladder.x + ladder.width / 2;
-                            this.x = ladderCenterX;
-                            
-                            this.vy = 2;
-                            this.vx = 0;
-                            this.onPlatform = false;
-                            this.currentPlatform = null;
-                        }
-                    }
-                    break;
-                } else if (this.lastLadderCheck === i) {
-                    // Left this ladder, reset check
-                    this.lastLadderCheck = null;
-                }
-            }
-        }
-        
-        // Platform collision with angled surfaces (skip if over ladder)
-        if (!overLadder) {
-            this.onPlatform = false;
-            for (let platform of platforms) {
-            // Create a temporary entity object for collision check
-            const fireballAsEntity = {
-                x: this.x - this.radius,
-                y: this.y - this.radius,
-                vy: this.vy
-            };
+            // Barrels may roll down when the girder under them meets the ladder top here (Barrel.update)
+            ctx.fillStyle = 'rgba(255, 68, 68, 0.35)';
+            ctx.fillRect(ladder.x, ladder.y - Navigation.LADDER_TOLERANCE, ladder.width,
+                Navigation.LADDER_TOLERANCE * 2);
             
-            if (PlatformGeometry.checkAngledCollision(fireballAsEntity, platform, this.radius * 2, this.radius * 2)) {
-                // Position fireball on angled platform surface
-                this.y = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
-                this.onPlatform = true;
-                this.currentPlatform = platform;
-                
-                // Natural periodic bounce - smooth parabolic arc
-                if (!this.justBounced) {
-                    this.vy = 0; // Stop falling
-                    this.bounceCount++;
-                    
-                    if (this.bounceCount >= 75) { // Every 75 frames (~1.25 seconds)
-                        this.vy = -4.5; // Moderate bounce for smooth arc
-                        this.bounceCount = 0;
-                        this.justBounced = true;
-                    }
-                } else {
-                    // In the air after bounce - let gravity create natural arc
-                    if (this.vy >= -0.5) { // Reset when near peak or falling
-                        this.justBounced = false;
-                    }
-                }
-                
-                // Calculate which side of platform is lower
-                const leftY = PlatformGeometry.getAngledPlatformY(platform.x, platform, 0);
-                const rightY = PlatformGeometry.getAngledPlatformY(platform.x + platform.width, platform, 0);
-                
-                // Roll toward the lower side
-                if (leftY > rightY) {
-                    this.vx = -BARREL_SPEED * 0.5;
-                } else if (rightY > leftY) {
-                    this.vx = BARREL_SPEED * 0.5;
-                } else {
-                    if (this.vx === 0) this.vx = BARREL_SPEED * 0.5;
-                }
-                
-                break;
-            }
-        }
+            // Fireballs walking over either end decide whether to climb (Fireball.considerLadders)
+            ctx.strokeStyle = 'rgba(255, 136, 0, 0.8)';
+            ctx.setLineDash([3, 3]);
+            ctx.strokeRect(ladder.x, ladder.y - Navigation.LADDER_TOLERANCE, ladder.width,
+                Navigation.LADDER_TOLERANCE * 2);
+            ctx.strokeRect(ladder.x, ladder.y + ladder.height - Navigation.LADDER_TOLERANCE, ladder.width,
+                Navigation.LADDER_TOLERANCE * 2);
+            ctx.setLineDash([]);
         }
-    }
+    },
     
-    draw() {
-        ctx.save();
-        ctx.translate(this.x, this.y);
+    drawPlayer(ctx) {
+        const centerX = player.x + player.width / 2;
+        const centerY = player.y + player.height / 2;
         
-        const p = 3; // Pixel size for retro look
+        ctx.strokeStyle = '#00FF00';
+        ctx.strokeRect(player.x, player.y, player.width, player.height);
         
-        // Animated flame colors
-        const flamePhase = Math.floor(this.animationFrame / 10) % 2;
-        const red = '#FF0000';
-        const orange = '#FFA500';
-        const yellow = '#FFD700';
+        // Circle checkCollisions() tests against enemies
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, Math.min(player.width, player.height) / 2, 0, Math.PI * 2);
+        ctx.stroke();
         
-        // Pixel-art fire hair on top (blocky flames - taller)
-        const hairPositions = [
-            { x: -2, y: -5, color: flamePhase ? orange : red },
-            { x: -2, y: -6, color: flamePhase ? yellow : orange },
-            { x: -1, y: -6, color: red },
-            { x: -1, y: -7, color: orange },
-            { x: 0, y: -7, color: yellow },
-            { x: 0, y: -8, color: yellow },
-            { x: 1, y: -7, color: orange },
-            { x: 1, y: -6, color: red },
-            { x: 2, y: -6, color: flamePhase ? yellow : orange },
-            { x: 2, y: -5, color: flamePhase ? orange : red }
-        ];
+        // Bottom-centre point that platform collision transforms
+        ctx.fillStyle = '#00FF00';
+        ctx.fillRect(centerX - 2, player.y + player.height - 2, 4, 4);
         
-        for (let hair of hairPositions) {
-            ctx.fillStyle = hair.color;
-            ctx.fillRect(hair.x * p, hair.y * p, p, p);
+        this.drawVelocity(ctx, centerX, centerY, player.vx, player.vy);
+        
+        // Hammer and item pickups, the oil drum intake, and the smash area while a hammer is held
+        ctx.strokeStyle = '#FFFFFF';
+        if (oilDrum) ctx.strokeRect(oilDrum.x, oilDrum.y, OIL_DRUM_WIDTH, OIL_DRUM_HEIGHT);
+        for (let hammer of hammers) {
+            if (!hammer.taken) ctx.strokeRect(hammer.x, hammer.y, HAMMER_WIDTH, HAMMER_HEIGHT);
+        }
+        for (let item of items) {
+            if (!item.collected) ctx.strokeRect(item.x, item.y, ITEM_SIZE, ITEM_SIZE);
+        }
+        if (player.hammerTimer > 0) {
+            const hitbox = player.hammerHitbox();
+            ctx.strokeRect(hitbox.x, hitbox.y, hitbox.width, hitbox.height);
         }
         
-        // Outer flame body (red)
-        ctx.fillStyle = red;
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.fill();
+        const flags = [
+            player.onGround && 'GROUND',
+            player.onLadder && 'LADDER',
+            player.climbing && 'CLIMB',
+            player.invincible && `INV ${player.invincibilityTimer}`,
+            player.hammerTimer > 0 && `HAMMER ${player.hammerTimer}`,
+            player.dying && `DYING ${player.deathTimer}`
+        ].filter(Boolean).join(' ');
+        ctx.font = '10px Courier New';
+        ctx.textAlign = 'center';
+        ctx.fillText(flags, centerX, player.y - 6);
+        ctx.textAlign = 'left';
+    },
+    
+    drawEnemies(ctx) {
+        const playerCenterX = player.x + player.width / 2;
         
-        // Inner flame (orange)
-        ctx.fillStyle = orange;
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius * 0.6, 0, Math.PI * 2);
-        ctx.fill();
+        for (let barrel of barrels) {
+            // Green once the jump-over has been scored, magenta while it is wild
+            ctx.strokeStyle = barrel.scored ? '#00FF00' : barrel.wild ? '#FF00FF' : '#FF4444';
+            ctx.beginPath();
+            ctx.arc(barrel.x, barrel.y, barrel.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            // Jump-over line: the player's feet must clear it while overlapping horizontally
+            if (!barrel.scored && Math.abs(playerCenterX - barrel.x) < player.width / 2 + barrel.radius) {
+                const lineY = barrel.y - barrel.radius + 5;
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.setLineDash([4, 2]);
+                ctx.beginPath();
+                ctx.moveTo(barrel.x - barrel.radius - player.width / 2, lineY);
+                ctx.lineTo(barrel.x + barrel.radius + player.width / 2, lineY);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            
+            this.drawVelocity(ctx, barrel.x, barrel.y, barrel.vx, barrel.vy);
+        }
         
-        // Hot core (yellow/white)
-        ctx.fillStyle = yellow;
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius * 0.3, 0, Math.PI * 2);
-        ctx.fill();
+        for (let fireball of fireballs) {
+            ctx.strokeStyle = fireball.ladder ? '#FF00FF' : '#FF8800';
+            ctx.beginPath();
+            ctx.arc(fireball.x, fireball.y, fireball.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            this.drawVelocity(ctx, fireball.x, fireball.y, fireball.vx, fireball.vy);
+        }
         
-        // Animated eyes (makes it alive)
-        ctx.fillStyle = red;
-        ctx.fillRect(-p, 0, p, p); // Left eye
-        ctx.fillRect(p, 0, p, p); // Right eye
+        for (let pan of cementPans) {
+            ctx.strokeStyle = pan.scored ? '#00FF00' : '#AAAAAA';
+            ctx.beginPath();
+            ctx.arc(pan.x, pan.y, pan.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            this.drawVelocity(ctx, pan.x, pan.y, pan.vx, pan.vy);
+        }
         
+        for (let spring of springs) {
+            const box = spring.hitbox();
+            ctx.strokeStyle = spring.platform ? '#FF4444' : '#FF00FF';
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+            this.drawVelocity(ctx, spring.x, box.y + box.height / 2, spring.vx, spring.vy);
+        }
+    },
+    
+    drawPanel(ctx) {
+        const lines = [
+            `FPS ${this.fps}  frame ${frameCount}`,
+            `barrels ${barrels.length}  fireballs ${fireballs.length}  pans ${cementPans.length}  springs ${springs.length}`,
+            `particles ${ParticleSystem.particles.length}  state ${gameState}`,
+            `player ${player.x.toFixed(1)},${player.y.toFixed(1)} v ${player.vx.toFixed(1)},${player.vy.toFixed(1)}`,
+            `${difficulty} deaths ${stageDeaths}  speed ${levelSettings.barrelSpeed.toFixed(2)}` +
+                `  spawn ${levelSettings.spawnInterval}  drop ${levelSettings.ladderDrop.toFixed(3)}`,
+            this.paused ? 'PAUSED' : `speed x${this.TIME_SCALES[this.timeScaleIndex]}`,
+            'B pause  N step  -/= speed'
+        ];
+        const x = canvas.width - 330;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, 40, 320, lines.length * 14 + 8);
+        ctx.fillStyle = '#00FF00';
+        ctx.font = '12px Courier New';
+        lines.forEach((line, i) => ctx.fillText(line, x + 6, 54 + i * 14));
+    },
+    
+    draw(ctx) {
+        ctx.save();
+        ctx.lineWidth = 1;
+        this.drawPlatforms(ctx);
+        this.drawLadders(ctx);
+        this.drawEnemies(ctx);
+        this.drawPlayer(ctx);
         ctx.restore();
+        this.drawPanel(ctx);
     }
-}
-
-let fireballs = [];
+};
 
-// Particle class for visual effects
-class Particle {
-    constructor(x, y, vx, vy, color, lifetime, type) {
-        this.x = x;
-        this.y = y;
-        this.vx = vx;
-        this.vy = vy;
-        this.color = color;
-        this.lifetime = lifetime;
-        this.maxLifetime = lifetime;
-        this.type = type;
-        this.size = Math.random() * 2 + 2; // 2-4 pixels
-    }
+// Pause menu and settings, drawn over the frozen game
+const PauseMenu = {
+    VOLUME_STEP: 0.1,
+    TOUCH_CONTROLS: ['auto', 'show', 'hide'],
+    TOUCH_LAYOUTS: ['right', 'left'],
+    FIRST_ROW_Y: 270,
+    ROW_HEIGHT: 44,
+    TITLES: { main: 'PAUSED', settings: 'SETTINGS', controls: 'CONTROLS' },
+    // Fixed menu keys, so the menu still works whatever the bindings are
+    MENU_KEYS: { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right', Enter: 'jump', Escape: 'pause' },
+    page: 'main',          // 'main', 'settings' or 'controls'
+    selected: 0,
+    rebinding: null,       // Action waiting for its new key
+    rebindRejected: null,  // Reserved key pressed while rebinding, named in the hint
+    restartQueued: false,  // Picked up by InputManager.read() so replays include the restart
+    
+    open() {
+        if (gameState !== 'playing' || ReplayPlayer.active || player.dying) return;
+        gameState = 'paused';
+        this.page = 'main';
+        this.selected = 0;
+        AudioSystem.suspend();
+    },
     
-    update() {
-        // Update position
-        this.x += this.vx;
-        this.y += this.vy;
-        
-        // Apply gravity
-        this.vy += GRAVITY * 0.3;
-        
-        // Decrease lifetime
-        this.lifetime--;
-    }
+    resume() {
+        gameState = 'playing';
+        AudioSystem.resume();
+    },
     
-    draw(ctx) {
-        // Fade out based on remaining lifetime
-        const alpha = this.lifetime / this.maxLifetime;
-        ctx.globalAlpha = alpha;
-        
-        ctx.fillStyle = this.color;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
-        
-        ctx.globalAlpha = 1.0;
-    }
+    // Rows for the current page; adjust(dir) handles left/right on value rows
+    items() {
+        if (this.page === 'controls') {
+            return [
+                ...InputManager.ACTIONS.map(action => ({
+                    label: action.toUpperCase(),
+                    value: this.rebinding === action ? 'press a key...' : InputManager.bindings[action].map(keyLabel).join(' / ') || '-',
+                    activate: () => {
+                        this.rebinding = action;
+                        this.rebindRejected = null;
+                    }
+                })),
+                { label: 'Reset to Defaults', activate: () => this.changeSetting('bindings', {}) },
+                { label: 'Back', activate: () => this.back() }
+            ];
+        }
+        if (this.page === 'settings') {
+            return [
+                { label: 'Music Volume', value: `${Math.round(settings.musicVolume * 100)}%`,
+                    adjust: dir => this.changeVolume('musicVolume', dir),
+                    activate: () => this.wrapVolume('musicVolume') },
+                { label: 'SFX Volume', value: `${Math.round(settings.sfxVolume * 100)}%`,
+                    adjust: dir => this.changeVolume('sfxVolume', dir),
+                    activate: () => this.wrapVolume('sfxVolume') },
+                { label: 'Touch Buttons', value: settings.touchControls.toUpperCase(),
+                    adjust: dir => this.cycle('touchControls', this.TOUCH_CONTROLS, dir) },
+                { label: 'Jump Button', value: settings.touchLayout.toUpperCase(),
+                    adjust: dir => this.cycle('touchLayout', this.TOUCH_LAYOUTS, dir) },
+                { label: 'Controls', activate: () => this.showPage('controls', 0) },
+                { label: 'Back', activate: () => this.back() }
+            ];
+        }
+        return [
+            { label: 'Resume', activate: () => this.resume() },
+            { label: 'Restart Level', activate: () => {
+                this.resume();
+                this.restartQueued = true;
+            } },
+            { label: 'Settings', activate: () => this.showPage('settings', 0) },
+            { label: Editor.playtesting ? 'Back to Editor' : 'Quit to Title', activate: () => {
+                this.resume();
+                if (Editor.playtesting) {
+                    Editor.togglePlaytest();
+                } else {
+                    quitToTitle();
+                }
+            } }
+        ];
+    },
     
-    isDead() {
-        return this.lifetime <= 0;
-    }
-}
-
-// Particle System for managing all particle effects
-const ParticleSystem = {
-    particles: [],
-    MAX_PARTICLES: 200,
+    showPage(page, selected) {
+        this.page = page;
+        this.selected = selected;
+    },
     
-    // Create explosion effect at position
-    createExplosion(x, y) {
-        const colors = ['#FF6600', '#FF0000', '#FFFF00']; // orange, red, yellow
-        const particleCount = Math.floor(Math.random() * 6) + 15; // 15-20 particles
-        
-        for (let i = 0; i < particleCount; i++) {
-            // Radial velocity distribution (360 degrees)
-            const angle = (Math.PI * 2 * i) / particleCount + Math.random() * 0.5;
-            const speed = Math.random() * 3 + 3; // 3-6 pixels per frame
-            const vx = Math.cos(angle) * speed;
-            const vy = Math.sin(angle) * speed;
-            
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            const lifetime = Math.floor(Math.random() * 16) + 30; // 30-45 frames
-            
-            this.addParticle(new Particle(x, y, vx, vy, color, lifetime, 'explosion'));
+    // Up one page, or resume from the top
+    back() {
+        if (this.page === 'controls') {
+            this.showPage('settings', 4);
+        } else if (this.page === 'settings') {
+            this.showPage('main', 2);
+        } else {
+            this.resume();
         }
     },
     
-    // Create confetti effect from top of screen
-    createConfetti() {
-        const colors = ['#790ECB', '#FFD700', '#00FFFF', '#FF69B4']; // purple, yellow, cyan, pink
-        const particleCount = Math.floor(Math.random() * 31) + 50; // 50-80 particles
-        
-        for (let i = 0; i < particleCount; i++) {
-            // Random horizontal positions across screen width
-            const x = Math.random() * canvas.width;
-            const y = -10; // Start just above screen
-            
-            // Initial downward velocity with horizontal drift
-            const vx = (Math.random() - 0.5) * 4; // -2 to 2 horizontal drift
-            const vy = Math.random() * 2 + 1; // 1-3 downward
-            
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            const lifetime = Math.floor(Math.random() * 61) + 120; // 120-180 frames
-            
-            this.addParticle(new Particle(x, y, vx, vy, color, lifetime, 'confetti'));
+    // The next key pressed becomes the main key for the action; Escape cancels.
+    // Reserved keys are refused and the menu keeps waiting.
+    finishRebind(code) {
+        if (InputManager.RESERVED_KEYS.includes(code)) {
+            this.rebindRejected = code;
+            return;
+        }
+        if (code !== 'Escape') {
+            this.changeSetting('bindings', InputManager.bind(this.rebinding, code));
         }
+        this.rebinding = null;
     },
     
-    // Add particle to system with limit check
-    addParticle(particle) {
-        if (this.particles.length < this.MAX_PARTICLES) {
-            this.particles.push(particle);
+    changeVolume(key, dir) {
+        const volume = Math.round((settings[key] + dir * this.VOLUME_STEP) * 10) / 10;
+        this.changeSetting(key, Math.max(0, Math.min(1, volume)));
+    },
+    
+    // Enter/Space steps volume up and wraps to silent, so one button reaches every value
+    wrapVolume(key) {
+        if (settings[key] >= 1) {
+            this.changeSetting(key, 0);
+        } else {
+            this.changeVolume(key, 1);
         }
     },
     
-    // Update all active particles
-    update() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            this.particles[i].update();
-            
-            // Remove dead particles
-            if (this.particles[i].isDead()) {
-                this.particles.splice(i, 1);
+    cycle(key, options, dir) {
+        const index = options.indexOf(settings[key]);
+        this.changeSetting(key, options[(index + dir + options.length) % options.length]);
+    },
+    
+    changeSetting(key, value) {
+        settings[key] = value;
+        StorageManager.saveSettings(settings);
+        applySettings();
+    },
+    
+    // Menu navigation from any input source
+    handleAction(action) {
+        if (this.rebinding) {
+            if (action === 'pause') this.rebinding = null; // Controller Start cancels
+            return;
+        }
+        const items = this.items();
+        const item = items[this.selected];
+        if (action === 'up') {
+            this.selected = (this.selected + items.length - 1) % items.length;
+        } else if (action === 'down') {
+            this.selected = (this.selected + 1) % items.length;
+        } else if ((action === 'left' || action === 'right') && item.adjust) {
+            item.adjust(action === 'left' ? -1 : 1);
+        } else if (action === 'jump') {
+            if (item.activate) {
+                item.activate();
+            } else {
+                item.adjust(1);
             }
+        } else if (action === 'pause') {
+            this.back();
         }
     },
     
-    // Draw all active particles
-    draw(ctx) {
-        for (let particle of this.particles) {
-            particle.draw(ctx);
-        }
-    }
-};
-
-// Donkey Kong at the top - Classic pixel art style
-const donkeyKong = {
-    x: 330,
-    y: 45,
-    baseY: 45,
-    width: 100,
-    height: 70,
-    defeated: false,
-    animationFrame: 0,
-    pixelSize: 4, // Size of each "pixel" block
-    
-    draw() {
-        if (this.defeated) return;
-        
-        // Angry hopping animation
-        this.animationFrame++;
-        const hop = Math.abs(Math.sin(this.animationFrame * 0.1)) * 8; // Hop up and down
-        const armWave = Math.sin(this.animationFrame * 0.1) > 0 ? 0 : 1; // Alternate arms
-        
-        const x = this.x;
-        const y = this.baseY - hop; // Hop up
-        const p = this.pixelSize;
-        
-        // Classic DK red/brown color palette
-        const red = '#C84C0C';
-        const darkRed = '#880000';
-        const tan = '#FCB514';
-        const darkTan = '#FC9838';
-        const white = '#FCFCFC';
-        const black = '#000000';
-        
-        // Red body/fur (main mass)
-        ctx.fillStyle = red;
-        ctx.fillRect(x + p*6, y + p*3, p*10, p);
-        ctx.fillRect(x + p*4, y + p*4, p*14, p);
-        ctx.fillRect(x + p*3, y + p*5, p*16, p);
-        ctx.fillRect(x + p*2, y + p*6, p*18, p);
-        ctx.fillRect(x + p*2, y + p*7, p*18, p);
-        ctx.fillRect(x + p*1, y + p*8, p*20, p);
-        ctx.fillRect(x + p*1, y + p*9, p*20, p);
-        ctx.fillRect(x + p*0, y + p*10, p*22, p);
-        ctx.fillRect(x + p*0, y + p*11, p*22, p);
-        
-        // Tan face area
-        ctx.fillStyle = tan;
-        ctx.fillRect(x + p*7, y + p*4, p*8, p);
-        ctx.fillRect(x + p*6, y + p*5, p*10, p);
-        ctx.fillRect(x + p*5, y + p*6, p*12, p);
-        ctx.fillRect(x + p*5, y + p*7, p*12, p);
-        ctx.fillRect(x + p*6, y + p*8, p*10, p);
-        
-        // Eyes (white)
-        ctx.fillStyle = white;
-        ctx.fillRect(x + p*7, y + p*5, p*2, p*2);
-        ctx.fillRect(x + p*13, y + p*5, p*2, p*2);
-        
-        // Pupils (black)
-        ctx.fillStyle = black;
-        ctx.fillRect(x + p*8, y + p*6, p, p);
-        ctx.fillRect(x + p*14, y + p*6, p, p);
-        
-        // Mouth with teeth
-        ctx.fillStyle = black;
-        ctx.fillRect(x + p*8, y + p*8, p*6, p);
-        
-        // Teeth (white)
-        ctx.fillStyle = white;
-        ctx.fillRect(x + p*8, y + p*8, p, p);
-        ctx.fillRect(x + p*10, y + p*8, p, p);
-        ctx.fillRect(x + p*12, y + p*8, p, p);
-        
-        // Arms (darker tan/orange) - animated
-        ctx.fillStyle = darkTan;
-        if (armWave === 0) {
-            // Left arm up, right arm down
-            ctx.fillRect(x + p*0, y + p*6, p*2, p*2); // Left hand up
-            ctx.fillRect(x + p*0, y + p*8, p*4, p*2); // Left arm
-            ctx.fillRect(x + p*18, y + p*8, p*4, p*2); // Right arm
-            ctx.fillRect(x + p*20, y + p*10, p*2, p*2); // Right hand down
+    // Keys that are not bound to an action
+    handleKey(code) {
+        if (this.MENU_KEYS[code]) this.handleAction(this.MENU_KEYS[code]);
+    },
+    
+    // Click or tap on a row; value rows step down on the left half and up on the right
+    onClick(x, y) {
+        const items = this.items();
+        const index = Math.floor((y - this.FIRST_ROW_Y + this.ROW_HEIGHT * 0.7) / this.ROW_HEIGHT);
+        if (index < 0 || index >= items.length) return;
+        this.selected = index;
+        const item = items[index];
+        if (item.adjust) {
+            item.adjust(x < canvas.width / 2 ? -1 : 1);
         } else {
-            // Right arm up, left arm down
-            ctx.fillRect(x + p*0, y + p*8, p*4, p*2); // Left arm
-            ctx.fillRect(x + p*0, y + p*10, p*2, p*2); // Left hand down
-            ctx.fillRect(x + p*20, y + p*6, p*2, p*2); // Right hand up
-            ctx.fillRect(x + p*18, y + p*8, p*4, p*2); // Right arm
+            item.activate();
         }
+    },
+    
+    draw(ctx) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        ctx.fillStyle = '#790ECB';
+        ctx.font = 'bold 50px Courier New';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.TITLES[this.page], canvas.width / 2, 200);
+        
+        const items = this.items();
+        ctx.font = 'bold 26px Courier New';
+        items.forEach((item, i) => {
+            const selected = i === this.selected;
+            let text = item.label;
+            if (item.adjust) {
+                text = `${item.label}  < ${item.value} >`;
+            } else if (item.value) {
+                text = `${item.label}  ${item.value}`;
+            }
+            ctx.fillStyle = selected ? '#790ECB' : 'white';
+            ctx.fillText(selected ? `> ${text} <` : text, canvas.width / 2, this.FIRST_ROW_Y + i * this.ROW_HEIGHT);
+        });
         
-        // Legs (red)
-        ctx.fillStyle = red;
-        ctx.fillRect(x + p*6, y + p*12, p*4, p*2); // Left leg
-        ctx.fillRect(x + p*12, y + p*12, p*4, p*2); // Right leg
-        
-        // Feet (tan)
-        ctx.fillStyle = darkTan;
-        ctx.fillRect(x + p*5, y + p*14, p*4, p*2); // Left foot
-        ctx.fillRect(x + p*13, y + p*14, p*4, p*2); // Right foot
+        ctx.fillStyle = '#AAAAAA';
+        ctx.font = '16px Courier New';
+        let hint = 'UP/DOWN choose  LEFT/RIGHT change  ENTER select  ESC back';
+        if (this.rebinding && this.rebindRejected) {
+            hint = `${keyLabel(this.rebindRejected)} is reserved, press another key (ESC cancels)`;
+        } else if (this.rebinding) {
+            hint = `Press a key for ${this.rebinding.toUpperCase()} (ESC cancels)`;
+        } else if (this.page === 'controls') {
+            hint = 'ENTER then press a key to rebind  ESC back';
+        }
+        ctx.fillText(hint, canvas.width / 2, this.FIRST_ROW_Y + items.length * this.ROW_HEIGHT + 10);
+        ctx.textAlign = 'left';
     }
 };
 
-// Goal area (tighter collision matching DK's actual body)
-const goal = {
-    x: 350,  // Match DK's x position more closely
-    y: 55,   // Match DK's new y position
-    width: 70,  // Match DK's actual width
-    height: 50  // Match DK's actual height
-};
-
-let enemySpawnCount = 0;
+// Hidden file input for loading replays from the title screen
+const replayFileInput = document.getElementById('replayFileInput');
+replayFileInput.addEventListener('change', () => {
+    if (replayFileInput.files.length > 0) {
+        ReplayPlayer.loadFromFile(replayFileInput.files[0]);
+    }
+    replayFileInput.value = '';
+});
 
-function spawnBarrel() {
-    barrels.push(new Barrel(donkeyKong.x + 25, donkeyKong.y + donkeyKong.height));
-}
+// Hidden file input used by the L key on the title screen and I in the editor
+const levelFileInput = document.getElementById('levelFileInput');
+levelFileInput.addEventListener('change', () => {
+    if (levelFileInput.files.length > 0) {
+        LevelLoader.loadFromFile(levelFileInput.files[0]).then(stage => {
+            if (!stage) return;
+            if (gameState === 'editor') {
+                Editor.open(stage);
+            } else {
+                useCustomLevel(stage);
+            }
+        });
+    }
+    levelFileInput.value = ''; // Allow re-loading the same file after editing it
+});
 
-function spawnFireball() {
-    fireballs.push(new Fireball(donkeyKong.x + 25, donkeyKong.y + donkeyKong.height));
+// Save text as a file download (level and replay exports)
+function downloadFile(filename, text) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
 }
 
-function checkCollisions() {
-    if (player.invincible) return;
+// Level editor: drag girders, ladders and markers, then press T to play the layout
+const Editor = {
+    HANDLE_SIZE: 10,
+    GRID: 5,               // Drag positions snap to this many pixels
+    MIN_PLATFORM_WIDTH: 40,
+    MIN_LADDER_HEIGHT: 20,
+    DEFAULT_SHAFT: 300,    // Travel of a girder newly made into an elevator
+    selected: null,        // { kind: 'platform' | 'ladder' | 'hammer' | 'item' | 'rivet' | 'drum' | 'start' | 'dk' | 'goal', index }
+    drag: null,            // Active mouse drag: { mode, ...start data }
+    mouse: { x: 0, y: 0 },
+    settings: null,        // Name, bonus and enemy tuning of the stage being edited
+    errors: [],            // Live validation of the layout
+    playtesting: false,
+    savedStage: null,      // Layout to restore when a playtest ends
+    
+    // Start editing a stage definition
+    open(stage) {
+        this.settings = {
+            name: stage.name,
+            bonus: stage.bonus,
+            spawnInterval: stage.spawnInterval,
+            fireballEvery: stage.fireballEvery,
+            wildChance: stage.wildChance ?? 0,
+            panInterval: stage.panInterval ?? 0,
+            springInterval: stage.springInterval ?? 0,
+            winCondition: stage.winCondition ?? 'goal'
+        };
+        applyStage(stage, 0);
+        barrels = [];
+        fireballs = [];
+        cementPans = [];
+        springs = [];
+        donkeyKong.defeated = false;
+        this.selected = null;
+        this.drag = null;
+        gameState = 'editor';
+        AudioSystem.stopMusic();
+        AudioSystem.stopWalk();
+        this.validate();
+    },
     
-    // Check barrel collisions using circular hitbox
-    for (let i = barrels.length - 1; i >= 0; i--) {
-        const barrel = barrels[i];
-        
-        // Calculate distance between player center and barrel center
-        const playerCenterX = player.x + player.width / 2;
-        const playerCenterY = player.y + player.height / 2;
-        const dx = playerCenterX - barrel.x;
-        const dy = playerCenterY - barrel.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Check if player is clearly above the barrel (jumping over it)
-        const playerBottom = player.y + player.height;
-        const barrelTop = barrel.y - barrel.radius;
-        
-        // Horizontal overlap check
-        const horizontalOverlap = Math.abs(playerCenterX - barrel.x) < (player.width / 2 + barrel.radius);
-        
-        if (horizontalOverlap && !player.onGround && playerBottom < barrelTop + 5 && !barrel.scored) {
-            // Successfully jumping over barrel!
-            score += 100;
-            AudioSystem.playScore();
-            updateHighScore();
-            
-            // Mark barrel as scored to prevent double-scoring
-            barrel.scored = true;
-            continue;
-        }
-        
-        // Collision if distance is less than sum of radii (approximate player as circle)
-        const playerRadius = Math.min(player.width, player.height) / 2;
-        if (distance < playerRadius + barrel.radius) {
-            // Hit by barrel
-            ParticleSystem.createExplosion(barrel.x, barrel.y);
-            player.loseLife();
-            return;
+    // Leave for the title screen, keeping the layout as a custom level if it is playable
+    close() {
+        const stage = this.toStage();
+        const errors = LevelLoader.validate(stage);
+        if (errors.length === 0) {
+            LevelLoader.lastErrors = [];
+            useCustomLevel(stage);
+        } else {
+            LevelLoader.reportErrors('Editor', errors);
+            loadStage(level);
+            gameState = 'start';
         }
-    }
+    },
     
-    // Check fireball collisions
-    for (let i = fireballs.length - 1; i >= 0; i--) {
-        const fireball = fireballs[i];
-        
-        // Calculate distance between player center and fireball center
-        const playerCenterX = player.x + player.width / 2;
-        const playerCenterY = player.y + player.height / 2;
-        const dx = playerCenterX - fireball.x;
-        const dy = playerCenterY - fireball.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Check if player is clearly above the fireball (jumping over it)
-        const playerBottom = player.y + player.height;
-        const fireballTop = fireball.y - fireball.radius;
-        
-        // Horizontal overlap check
-        const horizontalOverlap = Math.abs(playerCenterX - fireball.x) < (player.width / 2 + fireball.radius);
-        
-        if (horizontalOverlap && !player.onGround && playerBottom < fireballTop + 5 && !fireball.scored) {
-            // Successfully jumping over fireball! (More points than barrel)
-            score += 200;
-            AudioSystem.playScore();
-            updateHighScore();
-            
-            // Mark fireball as scored to prevent double-scoring
-            fireball.scored = true;
-            continue;
-        }
-        
-        // Collision if distance is less than sum of radii
-        const playerRadius = Math.min(player.width, player.height) / 2;
-        if (distance < playerRadius + fireball.radius) {
-            // Hit by fireball
-            ParticleSystem.createExplosion(fireball.x, fireball.y);
-            player.loseLife();
-            return;
-        }
-    }
+    // The edited layout in level file format
+    toStage() {
+        return {
+            name: this.settings.name,
+            winCondition: this.settings.winCondition,
+            platforms: platforms.map(p => {
+                const platform = { x: p.x, y: p.y, width: p.width, height: p.height, angle: p.angle };
+                if (p.elevator) platform.elevator = { ...p.elevator };
+                if (p.conveyor) platform.conveyor = { ...p.conveyor };
+                return platform;
+            }),
+            ladders: ladders.map(l => {
+                const ladder = { x: l.x, y: l.y, width: l.width, height: l.height };
+                if (l.broken) ladder.broken = true;
+                return ladder;
+            }),
+            playerStart: { x: player.startX, y: player.startY },
+            donkeyKong: { x: donkeyKong.x, y: donkeyKong.y },
+            goal: { x: goal.x, y: goal.y, width: goal.width, height: goal.height },
+            hammers: hammers.map(h => ({ x: h.x, y: h.y })),
+            items: items.map(item => ({ type: item.type, x: item.x, y: item.y, points: item.points })),
+            rivets: rivets.map(rivet => ({ x: rivet.x, y: rivet.y })),
+            oilDrum: oilDrum ? { x: oilDrum.x, y: oilDrum.y } : null,
+            bonus: this.settings.bonus,
+            spawnInterval: this.settings.spawnInterval,
+            fireballEvery: this.settings.fireballEvery,
+            wildChance: this.settings.wildChance,
+            panInterval: this.settings.panInterval,
+            springInterval: this.settings.springInterval
+        };
+    },
     
-    // Check goal collision
-    if (!donkeyKong.defeated &&
-        player.x + player.width > goal.x && 
-        player.x < goal.x + goal.width &&
-        player.y + player.height > goal.y && 
-        player.y < goal.y + goal.height) {
-        donkeyKong.defeated = true;
-        updateHighScore();
-        AudioSystem.stopMusic();
-        AudioSystem.playLevelComplete();
-        gameState = 'levelComplete';
-    }
-}
-
-let lastHighScore = 0; // Track when we last celebrated a high score
-
-function updateHighScore() {
-    if (score > highScore) {
-        const oldHighScore = highScore;
-        highScore = score;
-        StorageManager.saveHighScore(highScore);
-        
-        // Only trigger confetti when we beat the previous session's high score
-        // Not on every single point increase
-        if (oldHighScore > lastHighScore) {
-            lastHighScore = oldHighScore;
-            ParticleSystem.createConfetti();
+    validate() {
+        this.errors = LevelLoader.validate(this.toStage());
+    },
+    
+    // Toggle between editing and playing the layout with the real game loop
+    togglePlaytest() {
+        if (this.playtesting) {
+            this.playtesting = false;
+            AudioSystem.stopMusic();
+            AudioSystem.stopWalk();
+            this.open(this.savedStage);
+        } else {
+            this.savedStage = this.toStage();
+            this.playtesting = true;
+            applyStage(this.savedStage, 0);
+            Random.reseed();
+            InputRecorder.start([this.savedStage]);
+            score = 0;
+            lives = DIFFICULTIES[difficulty].lives;
+            restartLevel();
+            spawnBarrel();
         }
-    }
-}
-
-function startGame() {
-    gameState = 'playing';
-    score = 0;
-    lives = 3;
-    frameCount = 0;
-    barrelSpawnTimer = 0;
-    enemySpawnCount = 0;
-    barrels = [];
-    fireballs = [];
-    player.reset();
-    donkeyKong.defeated = false;
+    },
     
-    // Spawn first barrel immediately
-    spawnBarrel();
+    handleKey(code) {
+        const target = this.selectedObject();
+        switch (code) {
+            case 'KeyT':
+                this.togglePlaytest();
+                return;
+            case 'Escape':
+                this.close();
+                return;
+            case 'KeyP':
+                platforms.push({
+                    x: this.snap(this.mouse.x - 100), y: this.snap(this.mouse.y - 10),
+                    width: 200, height: 20, angle: 0
+                });
+                this.selected = { kind: 'platform', index: platforms.length - 1 };
+                break;
+            case 'KeyA':
+                if (this.selected && this.selected.kind === 'ladder') {
+                    // Break the selected ladder, or mend it
+                    if (target.broken) {
+                        delete target.broken;
+                    } else {
+                        target.broken = true;
+                    }
+                } else {
+                    ladders.push({ x: this.snap(this.mouse.x - 15), y: this.snap(this.mouse.y), width: 30, height: 100 });
+                    this.selected = { kind: 'ladder', index: ladders.length - 1 };
+                }
+                break;
+            case 'KeyH':
+                hammers.push({
+                    x: this.snap(this.mouse.x - HAMMER_WIDTH / 2), y: this.snap(this.mouse.y - HAMMER_HEIGHT / 2),
+                    taken: false
+                });
+                this.selected = { kind: 'hammer', index: hammers.length - 1 };
+                break;
+            case 'KeyC':
+                if (this.selected && this.selected.kind === 'item') {
+                    // Cycle the selected item through hat, purse and umbrella
+                    const types = Object.keys(ITEM_POINTS);
+                    target.type = types[(types.indexOf(target.type) + 1) % types.length];
+                    target.points = ITEM_POINTS[target.type];
+                } else {
+                    items.push({
+                        type: 'hat', x: this.snap(this.mouse.x - ITEM_SIZE / 2), y: this.snap(this.mouse.y - ITEM_SIZE / 2),
+                        points: ITEM_POINTS.hat, collected: false
+                    });
+                    this.selected = { kind: 'item', index: items.length - 1 };
+                }
+                break;
+            case 'KeyR':
+                rivets.push({ ...this.rivetSpot(this.mouse.x, this.mouse.y), stepped: false, removed: false });
+                this.selected = { kind: 'rivet', index: rivets.length - 1 };
+                break;
+            case 'KeyW':
+                // Switch between reaching the goal and pulling every rivet
+                this.settings.winCondition = this.settings.winCondition === 'rivets' ? 'goal' : 'rivets';
+                break;
+            case 'KeyO':
+                // One drum per stage: place it, or move the existing one to the mouse
+                if (!oilDrum) oilDrum = { x: 0, y: 0, lit: false };
+                oilDrum.x = this.snap(this.mouse.x - OIL_DRUM_WIDTH / 2);
+                oilDrum.y = this.snap(this.mouse.y - OIL_DRUM_HEIGHT / 2);
+                this.selected = { kind: 'drum' };
+                break;
+            case 'Delete':
+            case 'Backspace':
+                if (this.selected && this.selected.kind === 'ladder') {
+                    ladders.splice(this.selected.index, 1);
+                    this.selected = null;
+                } else if (this.selected && this.selected.kind === 'hammer') {
+                    hammers.splice(this.selected.index, 1);
+                    this.selected = null;
+                } else if (this.selected && this.selected.kind === 'item') {
+                    items.splice(this.selected.index, 1);
+                    this.selected = null;
+                } else if (this.selected && this.selected.kind === 'rivet') {
+                    rivets.splice(this.selected.index, 1);
+                    this.selected = null;
+                } else if (this.selected && this.selected.kind === 'drum') {
+                    oilDrum = null;
+                    this.selected = null;
+                } else if (this.selected && this.selected.kind === 'platform' && platforms.length > 1) {
+                    platforms.splice(this.selected.index, 1);
+                    this.selected = null;
+                }
+                break;
+            case 'KeyV':
+                // Cycle the selected girder through fixed, rising lift and sinking lift
+                if (this.selected && this.selected.kind === 'platform') {
+                    if (!target.elevator) {
+                        target.elevator = { top: Math.max(0, target.y - this.DEFAULT_SHAFT), bottom: target.y, speed: -1 };
+                        target.angle = 0;
+                    } else if (target.elevator.speed < 0) {
+                        target.elevator.speed = 1;
+                    } else {
+                        delete target.elevator;
+                    }
+                }
+                break;
+            case 'KeyB':
+                // Cycle the selected girder through fixed, belt running right and belt running left
+                if (this.selected && this.selected.kind === 'platform') {
+                    if (!target.conveyor) {
+                        target.conveyor = { speed: 1, reverseEvery: 0 };
+                        target.angle = 0;
+                    } else if (target.conveyor.speed > 0) {
+                        target.conveyor.speed = -1;
+                    } else {
+                        delete target.conveyor;
+                    }
+                }
+                break;
+            case 'BracketLeft':
+            case 'BracketRight':
+                if (this.selected && this.selected.kind === 'platform') {
+                    target.angle = Math.round((target.angle + (code === 'BracketLeft' ? -0.5 : 0.5)) * 2) / 2;
+                }
+                break;
+            case 'KeyX':
+                downloadFile(`${this.settings.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'level'}.json`,
+                    JSON.stringify(this.toStage(), null, 4));
+                return;
+            case 'KeyI':
+                levelFileInput.click();
+                return;
+            default:
+                return;
+        }
+        this.validate();
+    },
     
-    AudioSystem.startMusic();
-}
-
-function restartLevel() {
-    gameState = 'playing';
-    frameCount = 0;
-    barrelSpawnTimer = 0;
-    enemySpawnCount = 0;
-    barrels = [];
-    fireballs = [];
-    player.reset();
-    donkeyKong.defeated = false;
-    AudioSystem.startMusic();
-}
-
-function restartGame() {
-    startGame();
-}
-
-function update() {
-    if (gameState !== 'playing') return;
+    snap(value) {
+        return Math.round(value / this.GRID) * this.GRID;
+    },
     
-    frameCount++;
+    // Rivets sit in the surface of the girder under them
+    rivetSpot(x, y) {
+        const rivetX = this.snap(x);
+        const below = Navigation.platformBelow(platforms, rivetX, y);
+        return { x: rivetX, y: below === -1 ? this.snap(y) : Navigation.surfaceY(rivetX, platforms[below]) };
+    },
     
-    // Update player
-    player.update();
+    selectedObject() {
+        if (!this.selected) return null;
+        switch (this.selected.kind) {
+            case 'platform': return platforms[this.selected.index];
+            case 'ladder': return ladders[this.selected.index];
+            case 'hammer': return hammers[this.selected.index];
+            case 'item': return items[this.selected.index];
+            case 'rivet': return rivets[this.selected.index];
+            case 'drum': return oilDrum;
+            case 'dk': return donkeyKong;
+            case 'goal': return goal;
+            default: return null;
+        }
+    },
     
-    // Spawn barrels and fireballs
-    if (!donkeyKong.defeated) {
-        barrelSpawnTimer++;
-        if (barrelSpawnTimer >= BARREL_SPAWN_INTERVAL) {
-            enemySpawnCount++;
-            
-            // Spawn fireball every 4th enemy (1 fireball per 3 barrels)
-            if (enemySpawnCount % 3 === 0) {
-                spawnFireball();
-            } else {
-                spawnBarrel();
+    // Ends of a platform after rotation (resize handle on the right, tilt handle on the left)
+    platformEnds(platform) {
+        const centerX = platform.x + platform.width / 2;
+        const centerY = platform.y + platform.height / 2;
+        const angleRad = (platform.angle * Math.PI) / 180;
+        const dx = Math.cos(angleRad) * platform.width / 2;
+        const dy = Math.sin(angleRad) * platform.width / 2;
+        return {
+            left: { x: centerX - dx, y: centerY - dy },
+            right: { x: centerX + dx, y: centerY + dy }
+        };
+    },
+    
+    // Handles for the selected object: [{ mode, x, y }]
+    handles() {
+        const target = this.selectedObject();
+        if (!target) return [];
+        switch (this.selected.kind) {
+            case 'platform': {
+                const ends = this.platformEnds(target);
+                const handles = [
+                    { mode: 'tilt', x: ends.left.x, y: ends.left.y },
+                    { mode: 'resize', x: ends.right.x, y: ends.right.y }
+                ];
+                if (target.elevator) {
+                    // Ends of the shaft, above and below the lift's highest and lowest spots
+                    const centerX = target.x + target.width / 2;
+                    handles.push(
+                        { mode: 'shaftTop', x: centerX, y: target.elevator.top },
+                        { mode: 'shaftBottom', x: centerX, y: target.elevator.bottom + target.height }
+                    );
+                }
+                return handles;
             }
-            
-            barrelSpawnTimer = 0;
+            case 'ladder':
+                return [
+                    { mode: 'top', x: target.x + target.width / 2, y: target.y },
+                    { mode: 'bottom', x: target.x + target.width / 2, y: target.y + target.height }
+                ];
+            case 'goal':
+                return [{ mode: 'resize', x: target.x + target.width, y: target.y + target.height }];
+            default:
+                return [];
         }
-    }
+    },
+    
+    // Rectangle covered by DK's sprite (22x16 pixel blocks)
+    dkBounds() {
+        const p = DK_PIXEL_SIZE;
+        return { x: donkeyKong.x, y: donkeyKong.y, width: p * 22, height: p * 16 };
+    },
     
-    // Update barrels
-    for (let i = barrels.length - 1; i >= 0; i--) {
-        barrels[i].update();
+    // Rectangle covered by a rivet, as drawRivet() draws it
+    rivetBounds(rivet) {
+        return { x: rivet.x - RIVET_WIDTH / 2, y: rivet.y - 2, width: RIVET_WIDTH, height: RIVET_HEIGHT };
+    },
+    
+    // Topmost object under the mouse, markers first
+    hitTest(x, y) {
+        const inside = (r) => x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height;
         
-        // Remove barrels that fall off bottom
-        if (barrels[i].y > canvas.height) {
-            barrels.splice(i, 1);
-            continue;
+        if (inside({ x: player.startX, y: player.startY, width: player.width, height: player.height })) {
+            return { kind: 'start' };
         }
+        if (inside(goal)) return { kind: 'goal' };
+        if (inside(this.dkBounds())) return { kind: 'dk' };
         
-        // Remove barrels that hit walls on the bottom platform (y > 600)
-        if (barrels[i].y > 600) {
-            if (barrels[i].x - barrels[i].radius <= 0 || 
-                barrels[i].x + barrels[i].radius >= canvas.width) {
-                barrels.splice(i, 1);
+        for (let i = hammers.length - 1; i >= 0; i--) {
+            if (inside({ x: hammers[i].x, y: hammers[i].y, width: HAMMER_WIDTH, height: HAMMER_HEIGHT })) {
+                return { kind: 'hammer', index: i };
             }
         }
-    }
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (inside({ x: items[i].x, y: items[i].y, width: ITEM_SIZE, height: ITEM_SIZE })) {
+                return { kind: 'item', index: i };
+            }
+        }
+        for (let i = rivets.length - 1; i >= 0; i--) {
+            if (inside(this.rivetBounds(rivets[i]))) return { kind: 'rivet', index: i };
+        }
+        if (oilDrum && inside({ x: oilDrum.x, y: oilDrum.y, width: OIL_DRUM_WIDTH, height: OIL_DRUM_HEIGHT })) {
+            return { kind: 'drum' };
+        }
+        for (let i = ladders.length - 1; i >= 0; i--) {
+            if (inside(ladders[i])) return { kind: 'ladder', index: i };
+        }
+        for (let i = platforms.length - 1; i >= 0; i--) {
+            const local = PlatformGeometry.transformToRotatedSpace(x, y, platforms[i]);
+            if (Math.abs(local.x) <= platforms[i].width / 2 && Math.abs(local.y) <= platforms[i].height / 2 + 4) {
+                return { kind: 'platform', index: i };
+            }
+        }
+        return null;
+    },
     
-    // Update fireballs
-    for (let i = fireballs.length - 1; i >= 0; i--) {
-        fireballs[i].update();
+    onMouseDown(x, y) {
+        this.mouse = { x, y };
+        
+        // Handles of the current selection take priority
+        for (const handle of this.handles()) {
+            if (Math.abs(x - handle.x) <= this.HANDLE_SIZE && Math.abs(y - handle.y) <= this.HANDLE_SIZE) {
+                const target = this.selectedObject();
+                this.drag = { mode: handle.mode };
+                if (this.selected.kind === 'platform') {
+                    this.drag.anchor = this.platformEnds(target).left;
+                } else if (this.selected.kind === 'ladder') {
+                    this.drag.bottom = target.y + target.height;
+                }
+                return;
+            }
+        }
         
-        // Remove fireballs that fall off bottom
-        if (fireballs[i].y > canvas.height) {
-            fireballs.splice(i, 1);
-            continue;
+        this.selected = this.hitTest(x, y);
+        if (!this.selected) {
+            this.drag = null;
+            return;
         }
         
-        // Remove fireballs that hit walls on the bottom platform (y > 600)
-        if (fireballs[i].y > 600) {
-            if (fireballs[i].x - fireballs[i].radius <= 0 || 
-                fireballs[i].x + fireballs[i].radius >= canvas.width) {
-                fireballs.splice(i, 1);
+        const origin = this.selected.kind === 'start'
+            ? { x: player.startX, y: player.startY }
+            : this.selectedObject();
+        this.drag = { mode: 'move', offsetX: x - origin.x, offsetY: y - origin.y };
+    },
+    
+    onMouseMove(x, y) {
+        this.mouse = { x, y };
+        if (!this.drag || !this.selected) return;
+        
+        const target = this.selectedObject();
+        const kind = this.selected.kind;
+        
+        if (this.drag.mode === 'move') {
+            const newX = this.snap(x - this.drag.offsetX);
+            const newY = this.snap(y - this.drag.offsetY);
+            if (kind === 'start') {
+                player.startX = newX;
+                player.startY = newY;
+            } else if (kind === 'dk') {
+                donkeyKong.x = newX;
+                donkeyKong.y = newY;
+                donkeyKong.baseY = newY;
+            } else if (kind === 'rivet') {
+                Object.assign(target, this.rivetSpot(x - this.drag.offsetX, y - this.drag.offsetY));
+            } else {
+                // Elevators take their shaft with them
+                if (target.elevator) {
+                    target.elevator.top += newY - target.y;
+                    target.elevator.bottom += newY - target.y;
+                }
+                target.x = newX;
+                target.y = newY;
             }
+        } else if (kind === 'platform' && this.drag.mode === 'shaftTop') {
+            target.elevator.top = Math.min(this.snap(y), target.y);
+        } else if (kind === 'platform' && this.drag.mode === 'shaftBottom') {
+            target.elevator.bottom = Math.max(this.snap(y) - target.height, target.y);
+        } else if (kind === 'platform' && this.drag.mode === 'resize') {
+            // Keep the left end fixed and stretch along the girder's axis
+            const anchor = this.drag.anchor;
+            const angleRad = (target.angle * Math.PI) / 180;
+            const length = (x - anchor.x) * Math.cos(angleRad) + (y - anchor.y) * Math.sin(angleRad);
+            target.width = Math.max(this.MIN_PLATFORM_WIDTH, this.snap(length));
+            const centerX = anchor.x + Math.cos(angleRad) * target.width / 2;
+            const centerY = anchor.y + Math.sin(angleRad) * target.width / 2;
+            target.x = Math.round(centerX - target.width / 2);
+            target.y = Math.round(centerY - target.height / 2);
+        } else if (kind === 'platform' && this.drag.mode === 'tilt') {
+            // Rotate around the center; the handle sits on the left end
+            const centerX = target.x + target.width / 2;
+            const centerY = target.y + target.height / 2;
+            const degrees = Math.atan2(centerY - y, centerX - x) * 180 / Math.PI;
+            target.angle = Math.round(degrees * 2) / 2;
+        } else if (kind === 'ladder' && this.drag.mode === 'top') {
+            target.y = Math.min(this.snap(y), this.drag.bottom - this.MIN_LADDER_HEIGHT);
+            target.height = this.drag.bottom - target.y;
+        } else if (kind === 'ladder' && this.drag.mode === 'bottom') {
+            target.height = Math.max(this.MIN_LADDER_HEIGHT, this.snap(y) - target.y);
+        } else if (kind === 'goal' && this.drag.mode === 'resize') {
+            target.width = Math.max(10, this.snap(x - target.x));
+            target.height = Math.max(10, this.snap(y - target.y));
         }
-    }
-    
-    // Update particle system
-    ParticleSystem.update();
+    },
     
-    // Check collisions
-    checkCollisions();
+    onMouseUp() {
+        if (this.drag) {
+            this.drag = null;
+            this.validate();
+        }
+    },
     
-    // Increase score over time
-    if (frameCount % 60 === 0) {
-        score += 10;
-        updateHighScore();
-    }
-}
-
-// Platform Geometry System for angled platforms
-const PlatformGeometry = {
-    // Transform entity position to platform's rotated coordinate space
-    transformToRotatedSpace(entityX, entityY, platform) {
-        const centerX = platform.x + platform.width / 2;
-        const centerY = platform.y + platform.height / 2;
-        const angleRad = (-platform.angle * Math.PI) / 180; // Negative for inverse transform
-        
-        // Translate to origin
-        const dx = entityX - centerX;
-        const dy = entityY - centerY;
-        
-        // Rotate
-        const rotatedX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
-        const rotatedY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
-        
-        return { x: rotatedX, y: rotatedY };
+    drawHandle(ctx, x, y) {
+        const s = this.HANDLE_SIZE;
+        ctx.fillStyle = 'white';
+        ctx.fillRect(x - s / 2, y - s / 2, s, s);
+        ctx.strokeStyle = '#790ECB';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - s / 2, y - s / 2, s, s);
     },
     
-    // Check collision with angled platform in rotated space
-    checkAngledCollision(entity, platform, entityWidth, entityHeight) {
-        // Transform entity corners to platform's rotated space
-        const bottomCenterX = entity.x + entityWidth / 2;
-        const bottomY = entity.y + entityHeight;
-        
-        const transformed = this.transformToRotatedSpace(bottomCenterX, bottomY, platform);
-        
-        // In rotated space, platform is axis-aligned
-        const halfWidth = platform.width / 2;
-        const halfHeight = platform.height / 2;
-        
-        // Check if entity is within platform bounds in rotated space
-        if (transformed.x >= -halfWidth && transformed.x <= halfWidth &&
-            transformed.y >= -halfHeight && transformed.y <= halfHeight + 10 &&
-            entity.vy >= 0) {
-            return true;
-        }
-        
-        return false;
+    drawMarker(ctx, rect, color, label, selected) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = selected ? 3 : 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.font = 'bold 12px Courier New';
+        ctx.fillText(label, rect.x + 2, rect.y - 4);
+        ctx.restore();
     },
     
-    // Get the Y position where entity should rest on angled platform
-    getAngledPlatformY(entityX, platform, entityHeight) {
-        const centerX = platform.x + platform.width / 2;
-        const centerY = platform.y + platform.height / 2;
-        const angleRad = (platform.angle * Math.PI) / 180;
+    // Overlay drawn on top of the level while editing
+    draw(ctx) {
+        const kind = this.selected && this.selected.kind;
+        
+        this.drawMarker(ctx, { x: player.startX, y: player.startY, width: player.width, height: player.height },
+            '#00FF00', 'START', kind === 'start');
+        this.drawMarker(ctx, goal, '#FFD700', 'GOAL', kind === 'goal');
+        this.drawMarker(ctx, this.dkBounds(), '#FF6600', 'DK', kind === 'dk');
+        
+        // Outline the selection
+        const target = this.selectedObject();
+        if (kind === 'platform') {
+            ctx.save();
+            ctx.translate(target.x + target.width / 2, target.y + target.height / 2);
+            ctx.rotate((target.angle * Math.PI) / 180);
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(-target.width / 2, -target.height / 2, target.width, target.height);
+            ctx.restore();
+            
+            ctx.fillStyle = 'white';
+            ctx.font = '12px Courier New';
+            const lift = target.elevator ? (target.elevator.speed < 0 ? ' lift up' : ' lift down') : '';
+            const belt = target.conveyor ? (target.conveyor.speed > 0 ? ' belt right' : ' belt left') : '';
+            ctx.fillText(`${target.angle}°${lift}${belt}`, target.x + target.width / 2, target.y - 6);
+        } else if (kind === 'ladder') {
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(target.x, target.y, target.width, target.height);
+        } else if (kind === 'hammer') {
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(target.x, target.y, HAMMER_WIDTH, HAMMER_HEIGHT);
+        } else if (kind === 'item') {
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(target.x, target.y, ITEM_SIZE, ITEM_SIZE);
+            ctx.fillStyle = 'white';
+            ctx.font = '12px Courier New';
+            ctx.fillText(`${target.type} ${target.points}`, target.x, target.y - 6);
+        } else if (kind === 'rivet') {
+            const bounds = this.rivetBounds(target);
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        } else if (kind === 'drum') {
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(target.x, target.y, OIL_DRUM_WIDTH, OIL_DRUM_HEIGHT);
+        }
         
-        // Calculate the slope of the platform
-        const dx = entityX - centerX;
-        const offsetY = dx * Math.tan(angleRad);
+        for (const handle of this.handles()) {
+            this.drawHandle(ctx, handle.x, handle.y);
+        }
         
-        // Return Y position where entity should be (top of platform minus entity height)
-        return centerY + offsetY - entityHeight;
+        // Banner and help
+        ctx.fillStyle = '#790ECB';
+        ctx.font = 'bold 20px Courier New';
+        ctx.textAlign = 'right';
+        ctx.fillText(`EDITOR - ${this.settings.name}`, canvas.width - 10, 30);
+        ctx.font = '12px Courier New';
+        ctx.fillText(this.settings.winCondition === 'rivets' ? 'Win: pull every rivet' : 'Win: reach the goal',
+            canvas.width - 10, 48);
+        ctx.textAlign = 'left';
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, canvas.height - 36, canvas.width, 36);
+        ctx.fillStyle = 'white';
+        ctx.font = '12px Courier New';
+        ctx.fillText('Drag to move, handles resize/tilt | P girder  A ladder/break  H hammer  C item  R rivet  O oil drum',
+            10, canvas.height - 22);
+        ctx.fillText('Del remove  [ ] tilt  V lift  B belt  W win  T play/edit  X export  I import  Esc title', 10, canvas.height - 8);
+        
+        // Live validation
+        if (this.errors.length > 0) {
+            ctx.fillStyle = '#FF4444';
+            ctx.font = '12px Courier New';
+            ctx.fillText(`${this.errors.length} problem(s):`, 10, 20);
+            this.errors.slice(0, 4).forEach((error, i) => {
+                ctx.fillText(error, 10, 36 + i * 14);
+            });
+        } else {
+            ctx.fillStyle = '#00FF00';
+            ctx.font = '12px Courier New';
+            ctx.fillText('Level is playable', 10, 20);
+        }
     }
 };
 
+// Mouse input for the editor, converted from CSS pixels to canvas pixels
+function canvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * canvas.width / rect.width,
+        y: (e.clientY - rect.top) * canvas.height / rect.height
+    };
+}
+
+canvas.addEventListener('click', (e) => {
+    if (gameState !== 'paused') return;
+    const point = canvasPoint(e);
+    PauseMenu.onClick(point.x, point.y);
+});
+
+// Clicking or tapping the playfield ends the demo too
+canvas.addEventListener('pointerdown', () => AttractMode.interrupt());
+
+canvas.addEventListener('mousedown', (e) => {
+    if (gameState !== 'editor') return;
+    const point = canvasPoint(e);
+    Editor.onMouseDown(point.x, point.y);
+});
+
+canvas.addEventListener('mousemove', (e) => {
+    if (gameState !== 'editor') return;
+    const point = canvasPoint(e);
+    Editor.onMouseMove(point.x, point.y);
+});
+
+window.addEventListener('mouseup', () => {
+    if (gameState === 'editor') Editor.onMouseUp();
+});
+
 // Draw angled platform with rotation (girder style)
 function drawAngledPlatform(ctx, platform) {
+    if (platform.conveyor) {
+        drawConveyor(ctx, platform);
+        return;
+    }
     ctx.save();
     
     // Calculate center point of platform for rotation
@@ -1517,18 +2152,539 @@ function drawAngledPlatform(ctx, platform) {
     ctx.restore();
 }
 
+// Conveyor belt: treads that run with the belt between a roller at each end
+function drawConveyor(ctx, platform) {
+    ctx.save();
+    ctx.translate(platform.x + platform.width / 2, platform.y + platform.height / 2);
+    ctx.rotate((platform.angle * Math.PI) / 180);
+    
+    const w = platform.width / 2;
+    const h = platform.height / 2;
+    
+    // Belt
+    ctx.fillStyle = '#2F2F2F';
+    ctx.fillRect(-w, -h, platform.width, platform.height);
+    
+    // Treads, shifted as far as the belt has run and clipped to it
+    const spacing = 12;
+    const travel = ((PlatformGeometry.beltTravel(platform) % spacing) + spacing) % spacing;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(-w, -h, platform.width, platform.height);
+    ctx.clip();
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 3;
+    for (let x = -w - spacing + travel; x < w + spacing; x += spacing) {
+        ctx.beginPath();
+        ctx.moveTo(x, -h + 2);
+        ctx.lineTo(x - 6, h - 2);
+        ctx.stroke();
+    }
+    ctx.restore();
+    
+    // Rollers at each end
+    for (const x of [-w, w]) {
+        ctx.fillStyle = '#A9A9A9';
+        ctx.beginPath();
+        ctx.arc(x, 0, h, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#333333';
+        ctx.beginPath();
+        ctx.arc(x, 0, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    // Outline for definition
+    ctx.strokeStyle = '#111111';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(-w, -h, platform.width, platform.height);
+    
+    ctx.restore();
+}
+
+// Draw the cables and pulleys an elevator runs between
+function drawElevatorShaft(ctx, platform) {
+    const top = platform.elevator.top - 10;
+    const bottom = platform.elevator.bottom + platform.height + 10;
+    
+    for (const x of [platform.x + 15, platform.x + platform.width - 15]) {
+        // Cable
+        ctx.strokeStyle = '#666666';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        
+        // Pulley at each end
+        for (const y of [top, bottom]) {
+            ctx.fillStyle = '#888888';
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#333333';
+            ctx.beginPath();
+            ctx.arc(x, y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+const DEATH_COLLAPSE_FRAMES = 15; // Time to topple over once the death spin ends
+
+// Draw player (Kiro logo sprite)
+function drawPlayer(ctx) {
+    if (player.dying) {
+        drawDyingPlayer(ctx);
+        return;
+    }
+    
+    // Flicker when invincible
+    if (player.invincible && Math.floor(frameCount / 10) % 2 === 0) {
+        return;
+    }
+    
+    ctx.save();
+    ctx.translate(player.x, player.y);
+    drawPlayerSprite(ctx);
+    ctx.restore();
+    
+    if (player.hammerTimer > 0) {
+        drawSwingingHammer(ctx);
+    }
+}
+
+// Kiro sprite in a player-sized box at the origin, flipped if facing left
+function drawPlayerSprite(ctx) {
+    if (!player.facingRight) {
+        ctx.translate(player.width, 0);
+        ctx.scale(-1, 1);
+    }
+    if (kiroImage.complete) {
+        ctx.drawImage(kiroImage, 0, 0, player.width, player.height);
+    } else {
+        ctx.fillStyle = '#790ECB';
+        ctx.fillRect(0, 0, player.width, player.height);
+    }
+}
+
+// Death sequence: the player spins faster and faster, then topples backwards and
+// flattens against the ground
+function drawDyingPlayer(ctx) {
+    const elapsed = DEATH_FRAMES - player.deathTimer;
+    const spin = Math.min(1, elapsed / DEATH_SPIN_FRAMES);
+    const collapse = Math.max(0, Math.min(1, (elapsed - DEATH_SPIN_FRAMES) / DEATH_COLLAPSE_FRAMES));
+    
+    ctx.save();
+    ctx.translate(player.x + player.width / 2, player.y + player.height);
+    ctx.scale(1, 1 - collapse * 0.5);
+    ctx.translate(0, -player.height / 2);
+    ctx.rotate(spin * spin * Math.PI * 6 + collapse * (player.facingRight ? -1 : 1) * Math.PI / 2);
+    ctx.translate(-player.width / 2, -player.height / 2);
+    drawPlayerSprite(ctx);
+    ctx.restore();
+}
+
+// Hammer pointing along +x from the grip: wooden handle, steel head
+function drawHammerShape(ctx, headColor) {
+    ctx.fillStyle = '#8B4513';
+    ctx.fillRect(0, -2, HAMMER_HEIGHT - 10, 4);
+    ctx.fillStyle = headColor;
+    ctx.fillRect(HAMMER_HEIGHT - 10, -HAMMER_WIDTH / 2, 10, HAMMER_WIDTH);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(HAMMER_HEIGHT - 10, -HAMMER_WIDTH / 2, 10, 3);
+}
+
+// Pauline's belongings, drawn inside an ITEM_SIZE box
+function drawItem(ctx, item) {
+    const s = ITEM_SIZE;
+    ctx.save();
+    ctx.translate(item.x, item.y);
+    if (item.type === 'hat') {
+        ctx.fillStyle = '#FF69B4';
+        ctx.fillRect(0, s - 6, s, 4);             // Brim
+        ctx.fillRect(5, s - 16, s - 10, 10);      // Crown
+        ctx.fillStyle = '#790ECB';
+        ctx.fillRect(5, s - 9, s - 10, 3);        // Ribbon
+    } else if (item.type === 'purse') {
+        ctx.strokeStyle = '#FF69B4';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(s / 2, 10, 6, Math.PI, 0);        // Handle
+        ctx.stroke();
+        ctx.fillStyle = '#FF1493';
+        ctx.fillRect(3, 10, s - 6, s - 12);       // Bag
+        ctx.fillStyle = '#FFD700';
+        ctx.fillRect(s / 2 - 2, 13, 4, 4);        // Clasp
+    } else {
+        ctx.fillStyle = '#FF69B4';
+        ctx.beginPath();
+        ctx.arc(s / 2, 10, s / 2, Math.PI, 0);    // Canopy
+        ctx.fill();
+        ctx.strokeStyle = '#8B4513';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(s / 2, 10);                    // Shaft and crook
+        ctx.lineTo(s / 2, s - 4);
+        ctx.arc(s / 2 - 3, s - 4, 3, 0, Math.PI);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// Pickup standing upright in its box
+function drawHammerItem(ctx, hammer) {
+    ctx.save();
+    ctx.translate(hammer.x + HAMMER_WIDTH / 2, hammer.y + HAMMER_HEIGHT);
+    ctx.rotate(-Math.PI / 2);
+    drawHammerShape(ctx, '#A9A9A9');
+    ctx.restore();
+}
+
+const RIVET_WIDTH = 12;  // Size of a drawn rivet, which is also its grab box in the editor
+const RIVET_HEIGHT = 14;
+
+// Draw a rivet (yellow plug set into the girder)
+function drawRivet(ctx, rivet) {
+    const x = rivet.x - RIVET_WIDTH / 2;
+    const y = rivet.y - 2;
+    ctx.fillStyle = rivet.stepped ? '#FFA500' : '#FFD700';
+    ctx.fillRect(x, y, RIVET_WIDTH, RIVET_HEIGHT);
+    ctx.fillStyle = '#FFF8B0';
+    ctx.fillRect(x + 2, y + 2, RIVET_WIDTH - 4, 3);
+    ctx.fillStyle = '#8B6914';
+    ctx.fillRect(x, y + RIVET_HEIGHT - 3, RIVET_WIDTH, 3);
+}
+
+// Hammer raised overhead and brought down in front, flashing as it runs out
+function drawSwingingHammer(ctx) {
+    const dir = player.facingRight ? 1 : -1;
+    const raised = Math.floor(frameCount / 8) % 2 === 0;
+    const warning = player.hammerTimer < HAMMER_WARNING_TIME && Math.floor(frameCount / 5) % 2 === 0;
+    
+    ctx.save();
+    ctx.translate(player.x + player.width / 2 + dir * 10, player.y + 18);
+    ctx.scale(dir, 1);
+    ctx.rotate(raised ? -Math.PI / 2 : 0);
+    drawHammerShape(ctx, warning ? '#FF4444' : '#A9A9A9');
+    ctx.restore();
+}
+
+// Draw cement pan (grey pan heaped with cement)
+function drawCementPan(ctx, pan) {
+    const r = pan.radius;
+    ctx.save();
+    ctx.translate(pan.x, pan.y);
+    
+    // Pan, wider at the rim
+    ctx.fillStyle = '#708090';
+    ctx.beginPath();
+    ctx.moveTo(-r, -2);
+    ctx.lineTo(r, -2);
+    ctx.lineTo(r * 0.7, r);
+    ctx.lineTo(-r * 0.7, r);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Cement heaped over the top
+    ctx.fillStyle = '#D3D3D3';
+    ctx.beginPath();
+    ctx.arc(0, -2, r * 0.8, Math.PI, 0);
+    ctx.fill();
+    
+    // Rim
+    ctx.strokeStyle = '#2F4F4F';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-r - 2, -2);
+    ctx.lineTo(r + 2, -2);
+    ctx.stroke();
+    
+    ctx.restore();
+}
+
+// Draw spring (steel coil between two plates), squashed as it lands and stretched in the air
+function drawSpring(ctx, spring) {
+    const width = SPRING_WIDTH * (1 + 0.3 * spring.squash);
+    const height = SPRING_HEIGHT * (1.2 - 0.6 * spring.squash);
+    const coils = 4;
+    ctx.save();
+    ctx.translate(spring.x, spring.y);
+    
+    // Coil zig-zagging between the plates
+    ctx.strokeStyle = '#C0C0C0';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(-width / 2 + 2, -3);
+    for (let i = 1; i <= coils * 2; i++) {
+        const x = i % 2 === 0 ? -width / 2 + 2 : width / 2 - 2;
+        ctx.lineTo(x, -3 - (height - 6) * i / (coils * 2));
+    }
+    ctx.stroke();
+    
+    // Top and bottom plates
+    ctx.fillStyle = '#FF4444';
+    ctx.fillRect(-width / 2, -3, width, 3);
+    ctx.fillRect(-width / 2, -height, width, 3);
+    
+    ctx.restore();
+}
+
+// Draw barrel (rolling 8-bit style)
+function drawBarrel(ctx, barrel) {
+    ctx.save();
+    ctx.translate(barrel.x, barrel.y);
+    ctx.rotate(barrel.rotation);
+    
+    // Simple 8-bit style barrel
+    // Main barrel body (brown, or blue for barrels that feed the oil drum). Wild ones
+    // have flashing red bands.
+    const wildFlash = barrel.wild && Math.floor(frameCount / 6) % 2 === 0;
+    const bandColor = wildFlash ? '#FF2020' : barrel.blue ? '#00008B' : '#654321';
+    ctx.fillStyle = barrel.blue ? '#1E90FF' : '#D2691E';
+    ctx.beginPath();
+    ctx.arc(0, 0, barrel.radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Two horizontal metal bands (thick lines)
+    ctx.strokeStyle = bandColor;
+    ctx.lineWidth = 3;
+    
+    // Top band
+    ctx.beginPath();
+    ctx.moveTo(-barrel.radius, -barrel.radius * 0.5);
+    ctx.lineTo(barrel.radius, -barrel.radius * 0.5);
+    ctx.stroke();
+    
+    // Bottom band
+    ctx.beginPath();
+    ctx.moveTo(-barrel.radius, barrel.radius * 0.5);
+    ctx.lineTo(barrel.radius, barrel.radius * 0.5);
+    ctx.stroke();
+    
+    // Outer rim (thick)
+    ctx.strokeStyle = bandColor;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(0, 0, barrel.radius, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    ctx.restore();
+}
+
+// Oil drum on the bottom floor, with flickering flames once a barrel has lit it
+function drawOilDrum(ctx) {
+    const { x, y } = oilDrum;
+    const w = OIL_DRUM_WIDTH;
+    const h = OIL_DRUM_HEIGHT;
+    
+    if (oilDrum.lit) {
+        // Three tongues of flame, each with its own flicker
+        for (let i = 0; i < 3; i++) {
+            const flicker = Math.sin(frameCount * 0.3 + i * 2) * 5;
+            const tipX = x + w * (i + 1) / 4;
+            const tipY = y - 22 - (i === 1 ? 8 : 0) + flicker;
+            ctx.fillStyle = i === 1 ? '#FFA500' : '#FF4500';
+            ctx.beginPath();
+            ctx.moveTo(tipX - 9, y);
+            ctx.lineTo(tipX, tipY);
+            ctx.lineTo(tipX + 9, y);
+            ctx.fill();
+            ctx.fillStyle = '#FFD700';
+            ctx.beginPath();
+            ctx.moveTo(tipX - 4, y);
+            ctx.lineTo(tipX, y - (y - tipY) / 2);
+            ctx.lineTo(tipX + 4, y);
+            ctx.fill();
+        }
+    }
+    
+    // Drum body with rims and label
+    ctx.fillStyle = '#1C3F94';
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = '#5B7FD6';
+    ctx.fillRect(x, y, w, 4);
+    ctx.fillRect(x, y + h - 4, w, 4);
+    ctx.fillRect(x, y + h / 2 - 2, w, 4);
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 12px Courier New';
+    ctx.textAlign = 'center';
+    ctx.fillText('OIL', x + w / 2, y + h / 2 - 6);
+    ctx.textAlign = 'left';
+}
+
+// Draw fireball (pixel-art flame with eyes)
+function drawFireball(ctx, fireball) {
+    ctx.save();
+    ctx.translate(fireball.x, fireball.y);
+    
+    const p = 3; // Pixel size for retro look
+    
+    // Animated flame colors
+    const flamePhase = Math.floor(fireball.animationFrame / 10) % 2;
+    const red = '#FF0000';
+    const orange = '#FFA500';
+    const yellow = '#FFD700';
+    
+    // Pixel-art fire hair on top (blocky flames - taller)
+    const hairPositions = [
+        { x: -2, y: -5, color: flamePhase ? orange : red },
+        { x: -2, y: -6, color: flamePhase ? yellow : orange },
+        { x: -1, y: -6, color: red },
+        { x: -1, y: -7, color: orange },
+        { x: 0, y: -7, color: yellow },
+        { x: 0, y: -8, color: yellow },
+        { x: 1, y: -7, color: orange },
+        { x: 1, y: -6, color: red },
+        { x: 2, y: -6, color: flamePhase ? yellow : orange },
+        { x: 2, y: -5, color: flamePhase ? orange : red }
+    ];
+    
+    for (let hair of hairPositions) {
+        ctx.fillStyle = hair.color;
+        ctx.fillRect(hair.x * p, hair.y * p, p, p);
+    }
+    
+    // Outer flame body (red)
+    ctx.fillStyle = red;
+    ctx.beginPath();
+    ctx.arc(0, 0, fireball.radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Inner flame (orange)
+    ctx.fillStyle = orange;
+    ctx.beginPath();
+    ctx.arc(0, 0, fireball.radius * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Hot core (yellow/white)
+    ctx.fillStyle = yellow;
+    ctx.beginPath();
+    ctx.arc(0, 0, fireball.radius * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Animated eyes (makes it alive)
+    ctx.fillStyle = red;
+    ctx.fillRect(-p, 0, p, p); // Left eye
+    ctx.fillRect(p, 0, p, p); // Right eye
+    
+    ctx.restore();
+}
+
+// Donkey Kong at the top - Classic pixel art style
+const DK_PIXEL_SIZE = 4; // Size of each "pixel" block
+let dkAnimationFrame = 0;
+
+function drawDonkeyKong(ctx) {
+    // Beaten at a goal he vanishes; on a rivet stage he tumbles down with the girders
+    if (donkeyKong.defeated && levelSettings.winCondition !== 'rivets') return;
+    
+    // Angry hopping animation
+    dkAnimationFrame++;
+    const hop = donkeyKong.defeated ? 0 : Math.abs(Math.sin(dkAnimationFrame * 0.1)) * 8; // Hop up and down
+    const armWave = Math.sin(dkAnimationFrame * 0.1) > 0 ? 0 : 1; // Alternate arms
+    
+    const x = donkeyKong.x;
+    const y = (donkeyKong.defeated ? donkeyKong.y : donkeyKong.baseY) - hop; // Hop up
+    const p = DK_PIXEL_SIZE;
+    
+    // Classic DK red/brown color palette
+    const red = '#C84C0C';
+    const darkRed = '#880000';
+    const tan = '#FCB514';
+    const darkTan = '#FC9838';
+    const white = '#FCFCFC';
+    const black = '#000000';
+    
+    // Red body/fur (main mass)
+    ctx.fillStyle = red;
+    ctx.fillRect(x + p*6, y + p*3, p*10, p);
+    ctx.fillRect(x + p*4, y + p*4, p*14, p);
+    ctx.fillRect(x + p*3, y + p*5, p*16, p);
+    ctx.fillRect(x + p*2, y + p*6, p*18, p);
+    ctx.fillRect(x + p*2, y + p*7, p*18, p);
+    ctx.fillRect(x + p*1, y + p*8, p*20, p);
+    ctx.fillRect(x + p*1, y + p*9, p*20, p);
+    ctx.fillRect(x + p*0, y + p*10, p*22, p);
+    ctx.fillRect(x + p*0, y + p*11, p*22, p);
+    
+    // Tan face area
+    ctx.fillStyle = tan;
+    ctx.fillRect(x + p*7, y + p*4, p*8, p);
+    ctx.fillRect(x + p*6, y + p*5, p*10, p);
+    ctx.fillRect(x + p*5, y + p*6, p*12, p);
+    ctx.fillRect(x + p*5, y + p*7, p*12, p);
+    ctx.fillRect(x + p*6, y + p*8, p*10, p);
+    
+    // Eyes (white)
+    ctx.fillStyle = white;
+    ctx.fillRect(x + p*7, y + p*5, p*2, p*2);
+    ctx.fillRect(x + p*13, y + p*5, p*2, p*2);
+    
+    // Pupils (black)
+    ctx.fillStyle = black;
+    ctx.fillRect(x + p*8, y + p*6, p, p);
+    ctx.fillRect(x + p*14, y + p*6, p, p);
+    
+    // Mouth with teeth
+    ctx.fillStyle = black;
+    ctx.fillRect(x + p*8, y + p*8, p*6, p);
+    
+    // Teeth (white)
+    ctx.fillStyle = white;
+    ctx.fillRect(x + p*8, y + p*8, p, p);
+    ctx.fillRect(x + p*10, y + p*8, p, p);
+    ctx.fillRect(x + p*12, y + p*8, p, p);
+    
+    // Arms (darker tan/orange) - animated
+    ctx.fillStyle = darkTan;
+    if (armWave === 0) {
+        // Left arm up, right arm down
+        ctx.fillRect(x + p*0, y + p*6, p*2, p*2); // Left hand up
+        ctx.fillRect(x + p*0, y + p*8, p*4, p*2); // Left arm
+        ctx.fillRect(x + p*18, y + p*8, p*4, p*2); // Right arm
+        ctx.fillRect(x + p*20, y + p*10, p*2, p*2); // Right hand down
+    } else {
+        // Right arm up, left arm down
+        ctx.fillRect(x + p*0, y + p*8, p*4, p*2); // Left arm
+        ctx.fillRect(x + p*0, y + p*10, p*2, p*2); // Left hand down
+        ctx.fillRect(x + p*20, y + p*6, p*2, p*2); // Right hand up
+        ctx.fillRect(x + p*18, y + p*8, p*4, p*2); // Right arm
+    }
+    
+    // Legs (red)
+    ctx.fillStyle = red;
+    ctx.fillRect(x + p*6, y + p*12, p*4, p*2); // Left leg
+    ctx.fillRect(x + p*12, y + p*12, p*4, p*2); // Right leg
+    
+    // Feet (tan)
+    ctx.fillStyle = darkTan;
+    ctx.fillRect(x + p*5, y + p*14, p*4, p*2); // Left foot
+    ctx.fillRect(x + p*13, y + p*14, p*4, p*2); // Right foot
+    
+    // About to throw a wild barrel: hold it up over his head
+    if (wildBarrelComing()) {
+        drawBarrel(ctx, { x: x + p*11, y: y - 12, radius: 15, rotation: 0, blue: false, wild: true });
+    }
+}
+
 function draw() {
     // Clear canvas
     ctx.fillStyle = '#1a1a1a';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
+    // Elevator shafts behind the girders
+    for (let platform of platforms) {
+        if (platform.elevator) drawElevatorShaft(ctx, platform);
+    }
+    
     // Draw platforms with angles
     for (let platform of platforms) {
         drawAngledPlatform(ctx, platform);
     }
     
-    // Draw ladders (realistic style)
-    for (let ladder of ladders) {
+    // Draw ladders (realistic style); broken ones have a gap where the middle rungs were
+    for (let ladder of ladders.flatMap(ladderSections)) {
         const railWidth = 6;
         const rungSpacing = 15;
         
@@ -1562,21 +2718,56 @@ function draw() {
         ctx.fillRect(ladder.x + ladder.width - 2, ladder.y, 2, ladder.height);
     }
     
+    // Draw rivets still in the girders
+    for (let rivet of rivets) {
+        if (!rivet.removed) drawRivet(ctx, rivet);
+    }
+    
+    // Draw bonus items not yet collected
+    for (let item of items) {
+        if (!item.collected) drawItem(ctx, item);
+    }
+    
+    // Draw hammers waiting to be picked up
+    for (let hammer of hammers) {
+        if (!hammer.taken) drawHammerItem(ctx, hammer);
+    }
+    
     // Draw Donkey Kong
-    donkeyKong.draw();
+    drawDonkeyKong(ctx);
     
     // Draw barrels
     for (let barrel of barrels) {
-        barrel.draw();
+        drawBarrel(ctx, barrel);
+    }
+    
+    // Draw cement pans
+    for (let pan of cementPans) {
+        drawCementPan(ctx, pan);
+    }
+    
+    // Draw springs
+    for (let spring of springs) {
+        drawSpring(ctx, spring);
+    }
+    
+    // Draw the oil drum in front of the barrels rolling into it
+    if (oilDrum) {
+        drawOilDrum(ctx);
     }
     
     // Draw fireballs
     for (let fireball of fireballs) {
-        fireball.draw();
+        drawFireball(ctx, fireball);
+    }
+    
+    if (gameState === 'editor') {
+        Editor.draw(ctx);
+        return;
     }
     
     // Draw player
-    player.draw();
+    drawPlayer(ctx);
     
     // Draw particle effects (on top of game elements)
     ParticleSystem.draw(ctx);
@@ -1587,6 +2778,29 @@ function draw() {
     ctx.fillText(`Score: ${score}`, 10, 30);
     ctx.fillText(`High Score: ${highScore}`, 10, 55);
     ctx.fillText(`Lives: ${lives}`, 10, 80);
+    if (levelSettings.winCondition === 'rivets') {
+        ctx.fillText(`Rivets: ${rivets.filter(rivet => !rivet.removed).length}`, 10, 105);
+    }
+    
+    ctx.textAlign = 'right';
+    ctx.fillText(Editor.playtesting ? 'PLAYTEST - T to edit' : `Level ${level}`, canvas.width - 10, 30);
+    ctx.font = '14px Courier New';
+    ctx.fillText(DIFFICULTIES[difficulty].name + (adaptiveDifficulty ? ' (adaptive)' : ''), canvas.width - 10, 50);
+    ctx.textAlign = 'left';
+    
+    drawBonusBox(ctx);
+    
+    if (ReplayPlayer.active) {
+        ReplayPlayer.draw(ctx);
+    }
+    
+    if (AttractMode.active) {
+        AttractMode.draw(ctx);
+    }
+    
+    if (DebugOverlay.enabled) {
+        DebugOverlay.draw(ctx);
+    }
     
     // Draw game state screens
     if (gameState === 'start') {
@@ -1595,9 +2809,43 @@ function draw() {
         drawLevelCompleteScreen();
     } else if (gameState === 'gameOver') {
         drawGameOverScreen();
+    } else if (gameState === 'paused') {
+        PauseMenu.draw(ctx);
     }
 }
 
+// Drawn pieces of a ladder: all of it, or a broken one's stub under the girder above and
+// the section that can still be climbed
+function ladderSections(ladder) {
+    if (!ladder.broken) return [ladder];
+    return [
+        { x: ladder.x, y: ladder.y, width: ladder.width, height: ladder.height * BROKEN_LADDER_STUB },
+        climbableSection(ladder)
+    ];
+}
+
+// Arcade-style bonus counter, flashing once it runs low
+function drawBonusBox(ctx) {
+    const x = canvas.width / 2 - 60;
+    const low = bonus <= BONUS_LOW;
+    const flash = low && gameState === 'playing' && Math.floor(frameCount / 15) % 2 === 0;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, 8, 120, 50);
+    ctx.strokeStyle = low ? '#FF4444' : '#790ECB';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(x, 8, 120, 50);
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#AAAAAA';
+    ctx.font = 'bold 14px Courier New';
+    ctx.fillText('BONUS', canvas.width / 2, 26);
+    ctx.fillStyle = flash ? '#FFFFFF' : low ? '#FF4444' : '#FFD700';
+    ctx.font = 'bold 22px Courier New';
+    ctx.fillText(String(bonus).padStart(4, '0'), canvas.width / 2, 50);
+    ctx.textAlign = 'left';
+}
+
 function drawStartScreen() {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -1611,12 +2859,41 @@ function drawStartScreen() {
     ctx.font = '20px Courier New';
     ctx.fillText('Use LEFT/RIGHT to move', canvas.width / 2, canvas.height / 2);
     ctx.fillText('UP/DOWN on ladders', canvas.width / 2, canvas.height / 2 + 30);
-    ctx.fillText('SPACE to jump', canvas.width / 2, canvas.height / 2 + 60);
+    ctx.fillText('SPACE to jump, ESC or P to pause', canvas.width / 2, canvas.height / 2 + 60);
     ctx.fillText('Reach the top and defeat Donkey Kong!', canvas.width / 2, canvas.height / 2 + 100);
     
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 20px Courier New';
+    ctx.fillText(`< ${DIFFICULTIES[difficulty].name.toUpperCase()} >   Adaptive: ${adaptiveDifficulty ? 'ON' : 'OFF'}`,
+        canvas.width / 2, canvas.height / 2 + 130);
+    
     ctx.fillStyle = '#790ECB';
     ctx.font = 'bold 24px Courier New';
-    ctx.fillText('Press SPACE or JUMP to start!', canvas.width / 2, canvas.height / 2 + 150);
+    ctx.fillText('Press SPACE or JUMP to start!', canvas.width / 2, canvas.height / 2 + 160);
+    
+    ctx.fillStyle = '#AAAAAA';
+    ctx.font = '16px Courier New';
+    const levelLabel = campaign === STAGES ? 'Campaign' : `Custom level: ${campaign[0].name}`;
+    ctx.fillText(`${levelLabel} - L to load a level file, E to edit`, canvas.width / 2, canvas.height / 2 + 190);
+    ctx.fillText('LEFT/RIGHT difficulty, UP/DOWN adaptive, O to watch a replay file',
+        canvas.width / 2, canvas.height / 2 + 212);
+    ctx.fillText('WASD also works. Controllers: D-pad or stick, A to jump, START to pause',
+        canvas.width / 2, canvas.height / 2 + 234);
+    
+    // Level file problems, so designers can see what to fix
+    if (LevelLoader.lastErrors.length > 0) {
+        const maxLines = 6;
+        ctx.fillStyle = '#FF4444';
+        ctx.font = '14px Courier New';
+        ctx.textAlign = 'left';
+        LevelLoader.lastErrors.slice(0, maxLines).forEach((error, i) => {
+            ctx.fillText(error, 20, 120 + i * 20);
+        });
+        if (LevelLoader.lastErrors.length > maxLines) {
+            ctx.fillText(`...and ${LevelLoader.lastErrors.length - maxLines} more (see console)`,
+                20, 120 + maxLines * 20);
+        }
+    }
     
     ctx.textAlign = 'left';
 }
@@ -1628,16 +2905,18 @@ function drawLevelCompleteScreen() {
     ctx.fillStyle = '#790ECB';
     ctx.font = 'bold 50px Courier New';
     ctx.textAlign = 'center';
-    ctx.fillText('LEVEL COMPLETE!', canvas.width / 2, canvas.height / 2 - 60);
+    ctx.fillText(`LEVEL ${level} COMPLETE!`, canvas.width / 2, canvas.height / 2 - 60);
     
     ctx.fillStyle = 'white';
     ctx.font = '30px Courier New';
-    ctx.fillText(`Final Score: ${score}`, canvas.width / 2, canvas.height / 2);
-    ctx.fillText(`High Score: ${highScore}`, canvas.width / 2, canvas.height / 2 + 40);
+    ctx.fillText(`Bonus: ${bonus}`, canvas.width / 2, canvas.height / 2);
+    ctx.fillText(`Score: ${score}`, canvas.width / 2, canvas.height / 2 + 40);
+    ctx.fillText(`High Score: ${highScore}`, canvas.width / 2, canvas.height / 2 + 80);
     
     ctx.fillStyle = '#790ECB';
     ctx.font = 'bold 24px Courier New';
-    ctx.fillText('Press SPACE to play again!', canvas.width / 2, canvas.height / 2 + 100);
+    ctx.fillText(Editor.playtesting ? 'Press SPACE to return to the editor' : 'Press SPACE for the next level!',
+        canvas.width / 2, canvas.height / 2 + 140);
     
     ctx.textAlign = 'left';
 }
@@ -1655,10 +2934,18 @@ function drawGameOverScreen() {
     ctx.font = '30px Courier New';
     ctx.fillText(`Final Score: ${score}`, canvas.width / 2, canvas.height / 2);
     ctx.fillText(`High Score: ${highScore}`, canvas.width / 2, canvas.height / 2 + 40);
+    ctx.font = '20px Courier New';
+    ctx.fillText(`Reached level ${level}  -  Seed: ${Random.seed}`, canvas.width / 2, canvas.height / 2 + 70);
     
     ctx.fillStyle = '#790ECB';
     ctx.font = 'bold 24px Courier New';
-    ctx.fillText('Press SPACE to restart!', canvas.width / 2, canvas.height / 2 + 100);
+    ctx.fillText(Editor.playtesting ? 'Press SPACE to return to the editor' : 'Press SPACE to restart!',
+        canvas.width / 2, canvas.height / 2 + 110);
+    
+    ctx.fillStyle = '#AAAAAA';
+    ctx.font = '16px Courier New';
+    ctx.fillText(ReplayPlayer.active ? 'Esc to exit the replay' : 'X to save the replay, R to watch it',
+        canvas.width / 2, canvas.height / 2 + 145);
     
     ctx.textAlign = 'left';
 }
@@ -1677,13 +2964,39 @@ function gameLoop(currentTime) {
     
     // Only update if enough time has passed (throttle to 60 FPS)
     if (deltaTime >= TARGET_FRAME_TIME) {
-        update();
+        InputManager.pollGamepads();
+        const steps = DebugOverlay.scaleSteps(ReplayPlayer.active ? ReplayPlayer.stepsThisTick() : 1);
+        for (let i = 0; i < steps; i++) {
+            update();
+        }
         draw();
+        DebugOverlay.countFrame(currentTime);
         lastTime = currentTime - (deltaTime % TARGET_FRAME_TIME);
     }
     
     requestAnimationFrame(gameLoop);
 }
 
+// Apply saved volume, key binding and touch control settings
+function applySettings() {
+    AudioSystem.setVolumes(settings.musicVolume, settings.sfxVolume);
+    InputManager.setBindings(settings.bindings);
+    setDifficulty(settings.difficulty, settings.adaptive);
+    applyControlSettings();
+}
+
+applySettings();
+
+// Show the first stage behind the title screen
+loadStage(level);
+
+// Optional level file from the URL, e.g. index.html?level=levels/example.json
+const levelParam = urlParams.get('level');
+if (levelParam) {
+    LevelLoader.loadFromUrl(levelParam).then(stage => {
+        if (stage && gameState === 'start') useCustomLevel(stage);
+    });
+}
+
 // Start the game loop
 requestAnimationFrame(gameLoop);
@@ -0,0 +1,34 @@
+// Run the Kiro Kong simulation in Node, with no browser or DOM.
+//
+// The simulation scripts are loaded into their own VM context, exactly as the
+// browser loads them with <script> tags, so every call to createSimulation()
+// returns an independent game:
+//
+//   const { createSimulation } = require('./headless.js');
+//   const sim = createSimulation();
+//   sim.startGame(1234);                    // seed
+//   for (let i = 0; i < 600; i++) {
+//       sim.step({ right: i < 60, jump: i === 30 });
+//   }
+//   console.log(sim.getState().score);
+//
+// Audio, particle effects and storage are silent no-ops unless replaced
+// through sim.adapters.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the <script> tags in index.html, minus the browser-only game.js
+const SIMULATION_SCRIPTS = ['navigation.js', 'autopilot.js', 'simulation.js'];
+
+function createSimulation() {
+    const context = vm.createContext({ console });
+    for (const file of SIMULATION_SCRIPTS) {
+        const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+    return vm.runInContext('Simulation', context);
+}
+
+module.exports = { createSimulation };
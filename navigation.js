@@ -0,0 +1,348 @@
+// Kiro Kong navigation graph
+// Where things can walk, climb, drop and jump, derived from a stage's platforms and
+// ladders. Loaded before simulation.js and only reads its constants when called, so
+// enemies, level validation and bots all share one picture of the level.
+//
+// Nodes are the walkable span of each platform plus the top and bottom of each ladder.
+// Edges say how to get from one node to another:
+//   walk  - between a platform and a ladder end on it
+//   climb - up or down a ladder. Broken ladders have ends but no climb, since only
+//           barrels get down them.
+//   drop  - walking off a platform end and falling onto another
+//   jump  - a running jump off a platform end onto another
+// Drops and jumps that land more than FALL_DEATH_HEIGHT below where they set off are
+// fatal, so they aren't edges.
+// Edge costs are in frames, so paths are the quickest rather than the shortest.
+//
+// Elevators move, so their edges are found by trying each one at heights along its
+// shaft. Those edges carry a lift: { platform, heights: [{ y, frames }] }, meaning
+// the move works if the elevator is at y that many frames after setting off, and
+// routes include the wait for it to get there.
+
+const Navigation = {
+    LADDER_TOLERANCE: 12,  // How far a ladder end may sit from a girder surface
+    MAX_FALL_FRAMES: 240,  // Give up on a drop or jump that never lands
+    ELEVATOR_STEP: 10,     // Spacing of the heights elevators are tried at
+    
+    // Top surface of a platform at x
+    surfaceY(x, platform) {
+        return PlatformGeometry.getAngledPlatformY(x, platform, 0) - platform.height / 2;
+    },
+    
+    spans(x, platform) {
+        return x >= platform.x && x <= platform.x + platform.width;
+    },
+    
+    // Index of a fixed platform whose surface is within LADDER_TOLERANCE of (x, y), or -1.
+    // Ladders never join elevators.
+    platformNear(levelPlatforms, x, y, exclude) {
+        return levelPlatforms.findIndex((platform, i) => i !== exclude && !platform.elevator && this.spans(x, platform) &&
+            Math.abs(this.surfaceY(x, platform) - y) <= this.LADDER_TOLERANCE);
+    },
+    
+    // Index of the first platform an entity at (x, feetY) would land on, or -1
+    platformBelow(levelPlatforms, x, feetY) {
+        let best = -1;
+        levelPlatforms.forEach((platform, i) => {
+            if (!this.spans(x, platform)) return;
+            const surface = this.surfaceY(x, platform);
+            if (surface >= feetY - this.LADDER_TOLERANCE &&
+                (best === -1 || surface < this.surfaceY(x, levelPlatforms[best]))) {
+                best = i;
+            }
+        });
+        return best;
+    },
+    
+    // Build the graph for a level. gravity defaults to the Normal difficulty's.
+    build(levelPlatforms, levelLadders, gravity = GRAVITY) {
+        const graph = {
+            platforms: levelPlatforms,
+            ladders: levelLadders,
+            nodes: [],   // { kind: 'platform' | 'ladderTop' | 'ladderBottom', platform, ladder, x }
+            edges: []    // edges[node] = [{ to, kind, fromX, toX, cost, lift }]
+        };
+        const addNode = (node) => {
+            graph.nodes.push(node);
+            graph.edges.push([]);
+            return graph.nodes.length - 1;
+        };
+        const addEdge = (from, to, kind, fromX, toX, cost, lift = null) => {
+            graph.edges[from].push({ to, kind, fromX, toX, cost, lift });
+        };
+        
+        // Platform nodes share their index with the platform
+        levelPlatforms.forEach((platform, i) => addNode({ kind: 'platform', platform: i, x: null }));
+        
+        // Ladders that join two platforms; loose ones are left out
+        levelLadders.forEach((ladder, i) => {
+            const centerX = ladder.x + ladder.width / 2;
+            const top = this.platformNear(levelPlatforms, centerX, ladder.y, -1);
+            const bottom = this.platformNear(levelPlatforms, centerX, ladder.y + ladder.height, top);
+            if (top === -1 || bottom === -1) return;
+            
+            const topNode = addNode({ kind: 'ladderTop', platform: top, ladder: i, x: centerX });
+            const bottomNode = addNode({ kind: 'ladderBottom', platform: bottom, ladder: i, x: centerX });
+            const climbCost = ladder.height / CLIMB_SPEED;
+            addEdge(top, topNode, 'walk', centerX, centerX, 0);
+            addEdge(topNode, top, 'walk', centerX, centerX, 0);
+            addEdge(bottom, bottomNode, 'walk', centerX, centerX, 0);
+            addEdge(bottomNode, bottom, 'walk', centerX, centerX, 0);
+            if (ladder.broken) return;
+            addEdge(topNode, bottomNode, 'climb', centerX, centerX, climbCost);
+            addEdge(bottomNode, topNode, 'climb', centerX, centerX, climbCost);
+        });
+        
+        // Walk off or jump off each end and see where the player comes down
+        const fixed = (i) => !levelPlatforms[i].elevator;
+        const falls = [];
+        levelPlatforms.forEach((platform, i) => {
+            if (!fixed(i)) return;
+            this.forEachFallPath(platform, gravity, (kind, endX, path) => {
+                const landing = this.findLanding(levelPlatforms, path, fixed);
+                falls.push({ from: i, kind, endX, path, landing });
+                if (landing && landing.platform !== i && landing.fall <= FALL_DEATH_HEIGHT) {
+                    addEdge(i, landing.platform, kind, endX, landing.x, landing.frames);
+                }
+            });
+        });
+        
+        // The same for each elevator at every height along its shaft, on and off it.
+        // One edge per way on or off, listing the heights it works at.
+        levelPlatforms.forEach((elevator, e) => {
+            if (fixed(e)) return;
+            const liftEdges = new Map();
+            const addLiftEdge = (from, to, kind, fromX, landing, height) => {
+                const key = `${from}:${to}:${kind}:${fromX}`;
+                let edge = liftEdges.get(key);
+                if (!edge) {
+                    edge = {
+                        to, kind, fromX, toX: landing.x, cost: landing.frames,
+                        lift: { platform: e, heights: [] }
+                    };
+                    liftEdges.set(key, edge);
+                    graph.edges[from].push(edge);
+                }
+                edge.lift.heights.push(height);
+                if (landing.frames < edge.cost) {
+                    edge.toX = landing.x;
+                    edge.cost = landing.frames;
+                }
+            };
+            
+            // Elevators are flat, so the way off is the same shape at every height
+            const { top, bottom } = elevator.elevator;
+            const waysOff = [];
+            this.forEachFallPath({ ...elevator, y: top }, gravity, (kind, endX, path) => {
+                waysOff.push({ kind, endX, path });
+            });
+            
+            for (let y = top; y <= bottom; y += this.ELEVATOR_STEP) {
+                const placed = [{ ...elevator, y }];
+                waysOff.forEach(({ kind, endX, path }) => {
+                    const landing = this.findLanding(levelPlatforms, path, fixed, y - top);
+                    if (landing && landing.fall <= FALL_DEATH_HEIGHT) addLiftEdge(e, landing.platform, kind, endX, landing, { y, frames: 0 });
+                });
+                
+                // A way onto it only has to beat the fixed platform the fall would reach
+                falls.forEach(({ from, kind, endX, path, landing: fixedLanding }) => {
+                    const limit = fixedLanding ? fixedLanding.frames : path.length;
+                    const landing = this.findLanding(placed, path.slice(0, limit), () => true);
+                    if (!landing || landing.fall > FALL_DEATH_HEIGHT) return;
+                    if (landing.frames === limit && fixedLanding && fixedLanding.platform < e) return;
+                    landing.platform = e;
+                    addLiftEdge(from, e, kind, endX, landing, { y, frames: landing.frames });
+                });
+            }
+        });
+        
+        return graph;
+    },
+    
+    // Walk off and jump off both ends of a platform, calling visit(kind, endX, path)
+    // with the path of each that isn't walled in
+    forEachFallPath(platform, gravity, visit) {
+        for (const [endX, dir] of [[platform.x, -1], [platform.x + platform.width, 1]]) {
+            for (const kind of ['drop', 'jump']) {
+                const path = this.fallPath(platform, endX, dir, kind === 'jump', gravity);
+                if (path) visit(kind, endX, path);
+            }
+        }
+    },
+    
+    // Follow the player's physics off the end of a platform, running in direction dir,
+    // ignoring everything it could land on. Returns a { x, feetY, vy } per frame until
+    // the player is off the bottom of the screen, or null if walled in.
+    fallPath(platform, endX, dir, jumping, gravity) {
+        const halfWidth = player.width / 2;
+        if (endX - halfWidth < 0 || endX + halfWidth > WORLD_WIDTH) return null; // Walled in
+        
+        // Standing players have their feet on the girder's center line
+        let x = endX;
+        let feetY = PlatformGeometry.getAngledPlatformY(endX, platform, 0);
+        const startY = feetY;
+        let vy = jumping ? JUMP_POWER : 0;
+        const path = [];
+        
+        for (let frame = 1; frame <= this.MAX_FALL_FRAMES; frame++) {
+            // Same order as player.update(): gravity, jump cap, move
+            vy += gravity;
+            if (startY - feetY >= player.maxJumpHeight && vy < 0) vy = 0;
+            x = Math.max(halfWidth, Math.min(WORLD_WIDTH - halfWidth, x + dir * PLAYER_SPEED));
+            feetY += vy;
+            path.push({ x, feetY, vy });
+        }
+        return path;
+    },
+    
+    // Where a fall path, lowered by offsetY, first lands on a platform solid(index)
+    // accepts: { platform, x, frames, fall }, or null. fall is how far below where the
+    // path set off it lands.
+    findLanding(levelPlatforms, path, solid, offsetY = 0) {
+        const halfWidth = player.width / 2;
+        const startY = path[0].feetY - path[0].vy;
+        for (let frame = 1; frame <= path.length; frame++) {
+            const { x, feetY, vy } = path[frame - 1];
+            if (feetY + offsetY - player.height > WORLD_HEIGHT) return null;
+            
+            const entity = { x: x - halfWidth, y: feetY + offsetY - player.height, vy };
+            const landed = levelPlatforms.findIndex((p, i) => solid(i) &&
+                x + halfWidth >= p.x && x - halfWidth <= p.x + p.width &&
+                PlatformGeometry.checkAngledCollision(entity, p, player.width, player.height));
+            if (landed !== -1) {
+                const surfaceY = PlatformGeometry.getAngledPlatformY(x, levelPlatforms[landed], 0);
+                return { platform: landed, x, frames: frame, fall: surfaceY - startY - offsetY };
+            }
+        }
+        return null;
+    },
+    
+    // Where the player lands after going off the end of a platform: { platform, x,
+    // frames, fall }, or null. Platforms solid(index) rejects are fallen through.
+    simulateFall(levelPlatforms, platform, endX, dir, jumping, gravity, solid = () => true) {
+        const path = this.fallPath(platform, endX, dir, jumping, gravity);
+        return path && this.findLanding(levelPlatforms, path, solid);
+    },
+    
+    // Platform index under an entity whose feet are at (x, feetY), or -1
+    platformAt(graph, x, feetY) {
+        return this.platformBelow(graph.platforms, x, feetY);
+    },
+    
+    // Ladder end nodes on a platform
+    ladderEndsOn(graph, platformIndex) {
+        return graph.edges[platformIndex]
+            .filter(edge => edge.kind === 'walk')
+            .map(edge => edge.to);
+    },
+    
+    // Platforms reachable from a platform using the allowed edge kinds
+    reachablePlatforms(graph, platformIndex, allow = ['walk', 'climb', 'drop', 'jump']) {
+        const visited = new Set([platformIndex]);
+        const queue = [platformIndex];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const edge of graph.edges[current]) {
+                if (allow.includes(edge.kind) && !visited.has(edge.to)) {
+                    visited.add(edge.to);
+                    queue.push(edge.to);
+                }
+            }
+        }
+        return new Set([...visited].filter(node => graph.nodes[node].kind === 'platform'));
+    },
+    
+    // Frames to wait, starting the given number of frames from now, until an elevator is
+    // where a lift edge needs it. Riders can't wait past the end of the shaft, so for them
+    // it's null if the moment has gone.
+    liftWait(graph, lift, after, riding) {
+        const platform = graph.platforms[lift.platform];
+        const { top, bottom, speed } = platform.elevator;
+        const phase = (y) => (speed < 0 ? bottom - y : y - top) / Math.abs(speed);
+        const loop = (bottom - top) / Math.abs(speed) + 1;
+        const slack = this.ELEVATOR_STEP / 2 / Math.abs(speed);
+        const now = phase(platform.y) + after;
+        
+        let best = null;
+        for (const height of lift.heights) {
+            // Where the elevator has to be when the player sets off
+            const y = height.y - speed * height.frames;
+            if (y < top || y > bottom) continue;
+            let wait = phase(y) - now;
+            if (riding) {
+                if (wait < -slack) continue;
+            } else {
+                wait = ((wait + slack) % loop + loop) % loop - slack;
+            }
+            wait = Math.max(0, wait);
+            if (best === null || wait < best) best = wait;
+        }
+        return best;
+    },
+    
+    // Quickest route between two points, each given as { x, y } with y at the feet.
+    // Returns legs of { kind, fromX, toX, platform, toPlatform, lift } in order, with a
+    // 'walk' leg wherever the route crosses a platform, or null if there is no route.
+    findPath(graph, from, to, allow = ['walk', 'climb', 'drop', 'jump']) {
+        const start = this.platformAt(graph, from.x, from.y);
+        const goal = this.platformAt(graph, to.x, to.y);
+        if (start === -1 || goal === -1) return null;
+        
+        // Dijkstra over arrivals: a node plus the x where it was reached
+        const best = new Map();
+        const open = [{ node: start, x: from.x, cost: 0, prev: null, edge: null }];
+        let found = null;
+        while (open.length > 0) {
+            let index = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].cost < open[index].cost) index = i;
+            }
+            const state = open.splice(index, 1)[0];
+            const key = `${state.node}:${state.x}`;
+            if (best.has(key)) continue;
+            best.set(key, state);
+            
+            if (state.node === goal) {
+                const total = state.cost + Math.abs(to.x - state.x) / PLAYER_SPEED;
+                if (!found || total < found.total) found = { state, total };
+            }
+            if (found && state.cost >= found.total) break;
+            
+            const onPlatform = graph.nodes[state.node].kind === 'platform';
+            for (const edge of graph.edges[state.node]) {
+                if (!allow.includes(edge.kind)) continue;
+                let cost = state.cost + (onPlatform ? Math.abs(edge.fromX - state.x) / PLAYER_SPEED : 0);
+                if (edge.lift) {
+                    const wait = this.liftWait(graph, edge.lift, cost, edge.lift.platform === state.node);
+                    if (wait === null) continue;
+                    cost += wait;
+                }
+                open.push({ node: edge.to, x: edge.toX, cost: cost + edge.cost, prev: state, edge });
+            }
+        }
+        if (!found) return null;
+        
+        // Unwind into legs, inserting the walks along each platform
+        const legs = [{
+            kind: 'walk', fromX: found.state.x, toX: to.x, platform: goal, toPlatform: goal, lift: null
+        }];
+        for (let state = found.state; state.prev; state = state.prev) {
+            const edge = state.edge;
+            const prev = state.prev;
+            if (edge.kind !== 'walk') {
+                legs.unshift({
+                    kind: edge.kind, fromX: edge.fromX, toX: edge.toX,
+                    platform: graph.nodes[prev.node].platform, toPlatform: graph.nodes[state.node].platform,
+                    lift: edge.lift
+                });
+            }
+            if (graph.nodes[prev.node].kind === 'platform') {
+                legs.unshift({
+                    kind: 'walk', fromX: prev.x, toX: edge.fromX,
+                    platform: prev.node, toPlatform: prev.node, lift: null
+                });
+            }
+        }
+        return legs.filter(leg => leg.kind !== 'walk' || leg.fromX !== leg.toX);
+    }
+};
@@ -0,0 +1,2571 @@
+// Kiro Kong simulation core
+// Game state and rules only: no DOM, canvas, audio or input devices. The browser
+// (game.js) and Node (headless.js) both drive it by calling step() once per frame.
+
+// Game constants
+const GRAVITY = 0.6; // Normal difficulty; presets set their own
+const JUMP_POWER = -9;
+const PLAYER_SPEED = 4;
+const CLIMB_SPEED = 3;
+const BARREL_SPEED = 2.5; // Normal difficulty; presets scale it
+const BARREL_SPAWN_INTERVAL = 180; // Default; stages set their own
+const MAX_BARREL_SPEED = BARREL_SPEED * 2; // Cap for later levels and loops
+const BARREL_LADDER_DROP = 0.02; // Chance per frame a barrel takes a ladder it is rolling over
+const BARREL_SLOPE_PULL = 2;     // Girders are only tilted a degree or two, so their pull is exaggerated
+const BARREL_BOUNCE = 0.3;       // Share of the landing speed a barrel bounces back up with
+const BARREL_MIN_BOUNCE = 2;     // Slower landings settle straight onto the girder
+const BARREL_LANDING_GRIP = 0.3; // Share of its speed a barrel keeps landing against a girder's slope
+const WILD_BARREL_BOUNCES = 4;   // Girders a wild barrel bounces through before it lands like any other
+const WILD_BARREL_HOP = 4;       // Upward speed of each of those bounces
+const WILD_BARREL_TELL_FRAMES = 45; // DK holds a wild barrel up this long before throwing it
+const INVINCIBILITY_TIME = 120; // 2 seconds at 60fps
+const FALL_DEATH_HEIGHT = 140;  // Landing further than this below where you left the ground is fatal
+const DEATH_FRAMES = 120;       // Everything freezes this long while the player spins and collapses
+const DEATH_SPIN_FRAMES = 75;   // The spinning part of it; the rest is spent flat on the ground
+const BROKEN_LADDER_STUB = 0.25;  // Share of a broken ladder left hanging from the girder above
+const BROKEN_LADDER_REACH = 0.45; // Share that can be climbed from the bottom, up to the missing rungs
+const WORLD_WIDTH = 800;  // Playfield size in pixels (the canvas matches it)
+const WORLD_HEIGHT = 700;
+const HAMMER_TIME = 600;          // 10 seconds of smashing per hammer
+const HAMMER_WARNING_TIME = 120;  // The hammer flashes for its last 2 seconds
+const HAMMER_WIDTH = 20;          // Pickup box; stages place its top-left corner
+const HAMMER_HEIGHT = 30;
+const HAMMER_REACH = 30;          // How far the swing reaches past the player
+const BONUS_START = 5000;          // Default starting bonus; stages set their own
+const BONUS_STEP = 100;            // Bonus lost per tick
+const BONUS_TICK_FRAMES = 120;     // One tick every 2 seconds
+const BONUS_LOW = 1000;            // Below this the counter flashes and the music hurries
+const ITEM_SIZE = 24;              // Collectible box; stages place its top-left corner
+const ITEM_POINTS = { hat: 300, purse: 500, umbrella: 800 }; // Defaults when a stage sets no points
+const FIREBALL_CLIMB_SPEED = 1.5;     // Ladder speed at full pace
+const FIREBALL_FAR_DISTANCE = 250;   // Beyond this the fireball dawdles
+const FIREBALL_FAR_SLOWDOWN = 0.5;
+const FIREBALL_MOVES = ['walk', 'climb']; // Fireballs never drop or jump off girders
+const FIREBALL_CHASE_CHANCE = 0.8;   // Odds of heading for the player at each decision
+const FIREBALL_WANDER_CHANCE = 0.15; // Odds of taking a ladder that leads away from the player
+const FIREBALL_THINK_FRAMES = 90;    // Frames between direction changes on a girder
+const MAX_FIREBALLS = 5;             // Further fireball throws become plain barrels
+const OIL_DRUM_WIDTH = 40;         // Stages place its top-left corner on the bottom platform
+const OIL_DRUM_HEIGHT = 50;
+const MAX_ELEVATOR_SPEED = 3;      // Pixels per frame; faster lifts would outrun the landing check
+const MAX_CONVEYOR_SPEED = 2;      // Pixels per frame; the player has to be able to walk against a belt
+const SPRING_SPEED = 1.5;          // Pixels per frame along the girder
+const SPRING_BOUNCE_FRAMES = 60;   // Every bounce takes the same time, however the girder slopes
+const SPRING_BOUNCE_HEIGHT = 70;   // Clearance at the top of a bounce; enough to walk under
+const SPRING_WIDTH = 24;           // Hitbox, standing on its bottom center
+const SPRING_HEIGHT = 20;
+const RIVET_GAP = 24;              // Hole a pulled rivet leaves in its girder
+const RIVET_POINTS = 100;
+const BARREL_JUMP_POINTS = 100;
+const FIREBALL_JUMP_POINTS = 200;
+const PAN_JUMP_POINTS = 100;
+const BARREL_SMASH_POINTS = 300;
+const FIREBALL_SMASH_POINTS = 500;
+const PAN_SMASH_POINTS = 300;
+
+// Outside services the simulation reports to. Headless runs keep these silent
+// defaults; game.js plugs in the real audio, particle effects and storage.
+const Adapters = {
+    audio: {
+        playJump() {},
+        playWalk() {},
+        stopWalk() {},
+        playHit() {},
+        playDeath() {},
+        playScore() {},
+        playLevelComplete() {},
+        playGameOver() {},
+        startMusic() {},
+        stopMusic() {},
+        setHurry(hurry) {}
+    },
+    effects: {
+        explosion(x, y) {},
+        confetti() {},
+        text(x, y, text) {}  // Floating label, e.g. points scored
+    },
+    storage: {
+        getHighScore() { return 0; },
+        saveHighScore(score) {}
+    }
+};
+
+// Seedable pseudo-random generator (mulberry32): the same seed gives the same sequence
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    // Float in [0, 1), a drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Random streams for one game. Gameplay decisions and visual effects draw from
+// separate streams so particles can never change how a seeded game plays out.
+const Random = {
+    seed: 0,
+    fixedSeed: null,   // From the ?seed= URL parameter, reused for every game
+    gameplay: new SeededRandom(0),
+    cosmetic: new SeededRandom(0),
+    
+    // Pick the seed for a new game and restart both streams
+    reseed(seed = this.fixedSeed ?? Math.floor(Math.random() * 4294967296)) {
+        this.seed = seed >>> 0;
+        this.gameplay = new SeededRandom(this.seed);
+        this.cosmetic = new SeededRandom(this.seed ^ 0x9E3779B9);
+    }
+};
+
+// Game state
+let gameState = 'start'; // 'start', 'playing', 'paused', 'levelComplete', 'gameOver', 'editor'
+let level = 1; // Campaign level number (keeps counting across loops)
+let score = 0;
+let highScore = 0; // Loaded from storage by the browser at startup
+let lives = 3;
+let frameCount = 0;
+let barrelSpawnTimer = 0;
+let panSpawnTimer = 0;
+let springSpawnTimer = 0;
+let bonus = 0;       // Added to the score at the goal; counts down while playing
+let bonusTimer = 0;
+let bonusHurried = false; // The music has sped up for the bonus running low
+let difficulty = 'normal';       // Key of DIFFICULTIES, picked on the title screen
+let adaptiveDifficulty = false;  // Ease off after repeated deaths on the same stage
+let stageDeaths = 0;             // Lives lost on the current stage
+
+// Stage definitions
+// Each stage is plain data: geometry, DK/goal placement, player start and enemy mix.
+// platforms[0] is always the floor; ladders join the girder above to the one below.
+const STAGES = [
+    {
+        name: 'Girders',
+        // Platforms with alternating angles: +2° and -2°
+        platforms: [
+            { x: 0, y: 650, width: 800, height: 20, angle: 0 }, // Bottom - moved down 100px
+            { x: 50, y: 540, width: 725, height: 20, angle: -2 }, // index 1
+            { x: 25, y: 430, width: 700, height: 20, angle: 2 }, // index 2
+            { x: 75, y: 320, width: 700, height: 20, angle: -2 }, // index 3
+            { x: 25, y: 210, width: 700, height: 20, angle: 2 }, // index 4
+            { x: 100, y: 100, width: 700, height: 20, angle: -2  }  // Very top for DK
+        ],
+        ladders: [
+            { x: 150, y: 545, width: 30, height: 105 },  // Bottom (650) to platform 1 (540)
+            { x: 600, y: 435, width: 30, height: 105 },  // Platform 1 (540) to 2 (430)
+            { x: 200, y: 325, width: 30, height: 105 },  // Platform 2 (430) to 3 (320)
+            { x: 550, y: 210, width: 30, height: 110 },  // Platform 3 (320) to 4 (210) - extended
+            { x: 150, y: 105, width: 30, height: 100 },   // Platform 4 (210) to top (100) - much taller
+            { x: 300, y: 428, width: 30, height: 115, broken: true },  // Platform 1 to 2, broken
+            { x: 400, y: 211, width: 30, height: 109, broken: true }   // Platform 3 to 4, broken
+        ],
+        playerStart: { x: 50, y: 600 },
+        donkeyKong: { x: 330, y: 45 },
+        goal: { x: 350, y: 55, width: 70, height: 50 },
+        hammers: [
+            { x: 90, y: 375 },   // Platform 2, left end
+            { x: 650, y: 175 }   // Platform 4, right end
+        ],
+        items: [
+            { type: 'hat', x: 400, y: 505, points: 300 },
+            { type: 'purse', x: 350, y: 287, points: 500 },
+            { type: 'umbrella', x: 350, y: 175, points: 800 }
+        ],
+        oilDrum: { x: 5, y: 600 },  // Bottom-left, where platform 1 drops its barrels
+        bonus: 5000,
+        spawnInterval: BARREL_SPAWN_INTERVAL,
+        fireballEvery: 3, // 1 fireball per 2 barrels
+        wildChance: 0.2
+    },
+    {
+        name: 'Mirror',
+        // Stage 1 flipped left-to-right, with a second ladder on two floors
+        platforms: [
+            { x: 0, y: 650, width: 800, height: 20, angle: 0 },
+            { x: 25, y: 540, width: 725, height: 20, angle: 2 },
+            { x: 75, y: 430, width: 700, height: 20, angle: -2 },
+            { x: 25, y: 320, width: 700, height: 20, angle: 2 },
+            { x: 75, y: 210, width: 700, height: 20, angle: -2 },
+            { x: 0, y: 100, width: 700, height: 20, angle: 2 }
+        ],
+        ladders: [
+            { x: 620, y: 546, width: 30, height: 104 },  // Bottom to platform 1
+            { x: 330, y: 536, width: 30, height: 114 },  // Bottom to platform 1 (middle)
+            { x: 170, y: 435, width: 30, height: 98 },   // Platform 1 to 2
+            { x: 570, y: 324, width: 30, height: 100 },  // Platform 2 to 3
+            { x: 380, y: 318, width: 30, height: 113 },  // Platform 2 to 3 (middle)
+            { x: 220, y: 214, width: 30, height: 101 },  // Platform 3 to 4
+            { x: 620, y: 107, width: 30, height: 96 },   // Platform 4 to top
+            { x: 450, y: 209, width: 30, height: 114, broken: true }  // Platform 3 to 4, broken
+        ],
+        playerStart: { x: 710, y: 600 },
+        donkeyKong: { x: 370, y: 45 },
+        goal: { x: 380, y: 55, width: 70, height: 50 },
+        hammers: [
+            { x: 700, y: 375 },  // Platform 2, right end
+            { x: 120, y: 175 }   // Platform 4, left end
+        ],
+        items: [
+            { type: 'hat', x: 480, y: 509, points: 300 },
+            { type: 'purse', x: 470, y: 289, points: 500 },
+            { type: 'umbrella', x: 420, y: 175, points: 800 }
+        ],
+        oilDrum: { x: 755, y: 600 },  // Mirrored to the bottom-right
+        bonus: 6000,
+        spawnInterval: 160,
+        fireballEvery: 3,
+        wildChance: 0.2
+    },
+    {
+        name: 'Split Girders',
+        // Platform 2 is broken in the middle - barrels drop through the gap
+        platforms: [
+            { x: 0, y: 650, width: 800, height: 20, angle: 0 },
+            { x: 0, y: 540, width: 740, height: 20, angle: 2 },
+            { x: 60, y: 430, width: 330, height: 20, angle: -2 },  // Left half
+            { x: 450, y: 430, width: 350, height: 20, angle: -2 }, // Right half
+            { x: 0, y: 320, width: 740, height: 20, angle: 2 },
+            { x: 60, y: 210, width: 740, height: 20, angle: -2 },
+            { x: 200, y: 100, width: 400, height: 20, angle: 0 }   // Short flat top for DK
+        ],
+        ladders: [
+            { x: 100, y: 528, width: 30, height: 122 },  // Bottom to platform 1
+            { x: 600, y: 546, width: 30, height: 104 },  // Bottom to platform 1
+            { x: 250, y: 426, width: 30, height: 110 },  // Platform 1 to left half
+            { x: 650, y: 426, width: 30, height: 124 },  // Platform 1 to right half
+            { x: 150, y: 310, width: 30, height: 122 },  // Left half to platform 3
+            { x: 500, y: 322, width: 30, height: 112 },  // Right half to platform 3
+            { x: 400, y: 208, width: 30, height: 114 },  // Platform 3 to 4
+            { x: 250, y: 97, width: 30, height: 119 },   // Platform 4 to top
+            { x: 530, y: 97, width: 30, height: 109 }    // Platform 4 to top
+        ],
+        playerStart: { x: 50, y: 600 },
+        donkeyKong: { x: 350, y: 45 },
+        goal: { x: 370, y: 55, width: 70, height: 50 },
+        hammers: [
+            { x: 100, y: 389 },  // Left half of the split girder
+            { x: 700, y: 155 }   // Platform 4, right end
+        ],
+        items: [
+            { type: 'hat', x: 420, y: 507, points: 300 },
+            { type: 'purse', x: 720, y: 391, points: 500 },
+            { type: 'umbrella', x: 280, y: 282, points: 800 }
+        ],
+        oilDrum: { x: 755, y: 600 },
+        bonus: 7000,
+        spawnInterval: 150,
+        fireballEvery: 2
+    },
+    {
+        name: 'Elevators',
+        // Two lift shafts with a pillar between them. The left lifts rise and the right
+        // ones sink; ride either off the end of its shaft and you're done for. DK's springs
+        // come down beside the sinking lifts.
+        platforms: [
+            { x: 0, y: 650, width: 230, height: 20, angle: 0 },    // Bottom left, start
+            { x: 570, y: 650, width: 230, height: 20, angle: 0 },  // Bottom right
+            { x: 240, y: 650, width: 100, height: 20, angle: 0, elevator: { top: 200, bottom: 650, speed: -1 } },
+            { x: 240, y: 425, width: 100, height: 20, angle: 0, elevator: { top: 200, bottom: 650, speed: -1 } },
+            { x: 460, y: 200, width: 100, height: 20, angle: 0, elevator: { top: 200, bottom: 650, speed: 1 } },
+            { x: 460, y: 425, width: 100, height: 20, angle: 0, elevator: { top: 200, bottom: 650, speed: 1 } },
+            { x: 350, y: 320, width: 100, height: 20, angle: 0 },  // Pillar between the shafts
+            { x: 0, y: 320, width: 230, height: 20, angle: 0 },    // Left ledge
+            { x: 570, y: 430, width: 230, height: 20, angle: -2 },
+            { x: 570, y: 280, width: 230, height: 20, angle: -2 },
+            { x: 570, y: 140, width: 230, height: 20, angle: -2 }  // Top for DK
+        ],
+        ladders: [
+            { x: 740, y: 428, width: 30, height: 222 },  // Bottom right to platform 8
+            { x: 600, y: 282, width: 30, height: 150 },  // Platform 8 to 9
+            { x: 740, y: 138, width: 30, height: 140 }   // Platform 9 to top
+        ],
+        playerStart: { x: 50, y: 600 },
+        donkeyKong: { x: 680, y: 70 },
+        goal: { x: 700, y: 80, width: 70, height: 50 },
+        hammers: [
+            { x: 100, y: 265 }   // Left ledge
+        ],
+        items: [
+            { type: 'hat', x: 388, y: 285, points: 300 },
+            { type: 'purse', x: 650, y: 395, points: 500 },
+            { type: 'umbrella', x: 680, y: 245, points: 800 }
+        ],
+        oilDrum: null,
+        bonus: 6000,
+        spawnInterval: 200,
+        fireballEvery: 4,
+        springInterval: 180
+    },
+    {
+        name: 'Factory',
+        // Conveyor belts carrying cement pans toward the middle, where they tip off onto
+        // the floor. The wide middle belt keeps changing direction.
+        platforms: [
+            { x: 0, y: 650, width: 800, height: 20, angle: 0 },    // Floor
+            { x: 0, y: 530, width: 370, height: 20, angle: 0, conveyor: { speed: 1, reverseEvery: 0 } },
+            { x: 430, y: 530, width: 370, height: 20, angle: 0, conveyor: { speed: -1, reverseEvery: 0 } },
+            { x: 100, y: 410, width: 600, height: 20, angle: 0, conveyor: { speed: 1, reverseEvery: 240 } },
+            { x: 0, y: 290, width: 370, height: 20, angle: 0, conveyor: { speed: 1, reverseEvery: 0 } },
+            { x: 430, y: 290, width: 370, height: 20, angle: 0, conveyor: { speed: -1, reverseEvery: 0 } },
+            { x: 200, y: 170, width: 400, height: 20, angle: 0 }   // Top for DK
+        ],
+        ladders: [
+            { x: 50, y: 528, width: 30, height: 122 },   // Floor to the lower belts
+            { x: 720, y: 528, width: 30, height: 122 },
+            { x: 150, y: 408, width: 30, height: 122 },  // Lower belts to the middle one
+            { x: 640, y: 408, width: 30, height: 122 },
+            { x: 300, y: 288, width: 30, height: 122 },  // Middle belt to the upper ones
+            { x: 470, y: 288, width: 30, height: 122 },
+            { x: 230, y: 168, width: 30, height: 122 },  // Upper belts to the top
+            { x: 540, y: 168, width: 30, height: 122 }
+        ],
+        playerStart: { x: 50, y: 600 },
+        donkeyKong: { x: 350, y: 100 },
+        goal: { x: 370, y: 110, width: 70, height: 50 },
+        hammers: [
+            { x: 390, y: 355 }   // Middle belt
+        ],
+        items: [
+            { type: 'hat', x: 250, y: 485, points: 300 },
+            { type: 'purse', x: 650, y: 245, points: 500 },
+            { type: 'umbrella', x: 250, y: 125, points: 800 }
+        ],
+        oilDrum: null,
+        bonus: 6000,
+        spawnInterval: 300,
+        fireballEvery: 2,
+        panInterval: 120
+    },
+    {
+        name: 'Rivets',
+        // Walk over all eight rivets to bring DK down. Each one leaves a hole in its
+        // girder, so the floors come apart as you go.
+        winCondition: 'rivets',
+        platforms: [
+            { x: 0, y: 650, width: 800, height: 20, angle: 0 },    // Floor
+            { x: 100, y: 530, width: 600, height: 20, angle: 0 },
+            { x: 100, y: 410, width: 600, height: 20, angle: 0 },
+            { x: 100, y: 290, width: 600, height: 20, angle: 0 },
+            { x: 150, y: 170, width: 500, height: 20, angle: 0 }   // Top for DK
+        ],
+        ladders: [
+            { x: 110, y: 528, width: 30, height: 122 },  // Floor to the first girder
+            { x: 660, y: 528, width: 30, height: 122 },
+            { x: 385, y: 408, width: 30, height: 122 },  // First to second, up the middle
+            { x: 110, y: 288, width: 30, height: 122 },  // Second to third, at both ends
+            { x: 660, y: 288, width: 30, height: 122 },
+            { x: 150, y: 168, width: 30, height: 122 },  // Third to the top
+            { x: 385, y: 168, width: 30, height: 122 },
+            { x: 620, y: 168, width: 30, height: 122 }
+        ],
+        rivets: [
+            { x: 200, y: 530 }, { x: 600, y: 530 },
+            { x: 200, y: 410 }, { x: 600, y: 410 },
+            { x: 200, y: 290 }, { x: 600, y: 290 },
+            { x: 250, y: 170 }, { x: 550, y: 170 }
+        ],
+        playerStart: { x: 50, y: 600 },
+        donkeyKong: { x: 350, y: 100 },
+        goal: { x: 370, y: 110, width: 70, height: 50 },
+        hammers: [
+            { x: 640, y: 355 },  // Second girder
+            { x: 140, y: 235 }   // Third girder
+        ],
+        items: [
+            { type: 'hat', x: 300, y: 485, points: 300 },
+            { type: 'purse', x: 500, y: 365, points: 500 },
+            { type: 'umbrella', x: 250, y: 245, points: 800 }
+        ],
+        oilDrum: null,
+        bonus: 7000,
+        spawnInterval: 360,
+        fireballEvery: 2
+    }
+];
+
+// Difficulty presets. Normal is the original tuning; the rest scale it.
+// fireballShift is added to each stage's fireballEvery (higher means fewer fireballs).
+const DIFFICULTIES = {
+    easy: {
+        name: 'Easy',
+        lives: 5,
+        gravity: 0.55,
+        barrelSpeed: 2,
+        spawnScale: 1.3,
+        fireballShift: 1,
+        ladderDrop: 0.01
+    },
+    normal: {
+        name: 'Normal',
+        lives: 3,
+        gravity: GRAVITY,
+        barrelSpeed: BARREL_SPEED,
+        spawnScale: 1,
+        fireballShift: 0,
+        ladderDrop: BARREL_LADDER_DROP
+    },
+    arcade: {
+        name: 'Arcade',
+        lives: 3,
+        gravity: 0.65,
+        barrelSpeed: 3,
+        spawnScale: 0.85,
+        fireballShift: -1,
+        ladderDrop: 0.04
+    }
+};
+
+// Difficulty added for each level cleared, and again each time the campaign loops
+const LEVEL_SPEED_BONUS = 0.05;   // +5% barrel speed per level
+const LEVEL_SPAWN_FACTOR = 0.95;  // 5% shorter spawn interval per level
+const LEVEL_LADDER_BONUS = 0.005; // Extra ladder drop chance per level
+const LOOP_SPEED_BONUS = 0.2;     // +20% barrel speed per loop
+const LOOP_SPAWN_FACTOR = 0.85;   // 15% shorter spawn interval per loop
+const MIN_SPAWN_INTERVAL = 60;
+const MAX_LADDER_DROP = 0.1;
+
+// Adaptive mode: from the second death on a stage, each death eases the stage a little more
+const ADAPTIVE_EASE_STEP = 0.1;   // 10% slower and sparser per death
+const ADAPTIVE_MIN_EASE = 0.6;
+
+// Stages being played - STAGES, or a single level loaded from a JSON file
+let campaign = STAGES;
+
+// Geometry of the stage being played (copied from the campaign by loadStage)
+let platforms = [];
+let ladders = [];
+let hammers = []; // { x, y, taken }
+let items = [];   // { type, x, y, points, collected }
+let oilDrum = null; // { x, y, lit }, or null when the stage has no drum
+let rivets = [];    // { x, y, stepped, removed }; y is the surface of the girder it holds together
+let navGraph = null; // Where things can walk, climb, drop and jump (see navigation.js)
+
+// Stage being played and how far into the run it is (set by applyStage)
+let currentStage = null;
+let currentLevelIndex = 0;
+
+// Per-level tuning derived from the stage, difficulty, level and loop count
+let levelSettings = {
+    bonus: BONUS_START,
+    gravity: GRAVITY,
+    barrelSpeed: BARREL_SPEED,
+    spawnInterval: BARREL_SPAWN_INTERVAL,
+    fireballEvery: 3,
+    ladderDrop: BARREL_LADDER_DROP
+};
+
+// Part of a ladder the player can climb: all of it, or on a broken ladder the section
+// below the missing rungs
+function climbableSection(ladder) {
+    if (!ladder.broken) return ladder;
+    const height = ladder.height * BROKEN_LADDER_REACH;
+    return { x: ladder.x, y: ladder.y + ladder.height - height, width: ladder.width, height };
+}
+
+// Player object
+const player = {
+    x: 50,
+    y: 600,  // Adjusted for new platform height
+    width: 40,
+    height: 40,
+    vx: 0,
+    vy: 0,
+    onGround: false,
+    platform: null,     // Girder underfoot while onGround, so elevators can carry the player
+    onLadder: false,
+    climbing: false,
+    invincible: false,
+    invincibilityTimer: 0,
+    hammerTimer: 0,     // Frames of hammer left; no jumping or climbing while it runs
+    deathTimer: 0,      // Frames of the death sequence left; the game is frozen while it runs
+    fallStartY: 600,    // Where the player last stood or climbed, to measure falls from
+    maxJumpHeight: 80,  // Maximum vertical distance (less than platform spacing)
+    jumpStartY: 0,      // Y position when jump started
+    facingRight: true,  // Track which direction player is facing
+    startX: 50,         // Spawn point, set per stage by loadStage()
+    startY: 600,
+    
+    reset() {
+        this.x = this.startX;
+        this.y = this.startY;
+        this.vx = 0;
+        this.vy = 0;
+        this.onGround = false;
+        this.platform = null;
+        this.climbing = false;
+        this.invincible = true;
+        this.invincibilityTimer = INVINCIBILITY_TIME;
+        this.hammerTimer = 0;
+        this.deathTimer = 0;
+        this.fallStartY = this.y;
+    },
+    
+    // input: this frame's resolved { left, right, up, down, jump }
+    update(input) {
+        if (this.invincible) {
+            this.invincibilityTimer--;
+            if (this.invincibilityTimer <= 0) {
+                this.invincible = false;
+            }
+        }
+        
+        if (this.hammerTimer > 0) {
+            this.hammerTimer--;
+        }
+        
+        // Check if on ladder (a hammer keeps both hands busy)
+        this.onLadder = false;
+        let brokenTop = null; // Highest the feet reach on a broken ladder
+        for (let ladder of ladders) {
+            const section = climbableSection(ladder);
+            if (this.hammerTimer === 0 &&
+                this.x + this.width > section.x && 
+                this.x < section.x + section.width &&
+                this.y + this.height > section.y && 
+                this.y < section.y + section.height) {
+                this.onLadder = true;
+                if (ladder.broken) brokenTop = section.y + 1;
+                break;
+            }
+        }
+        
+        // Horizontal movement
+        const moveLeft = input.left;
+        const moveRight = input.right;
+        const moveUp = input.up;
+        const moveDown = input.down;
+        
+        // Horizontal movement (always allow left/right to exit ladders)
+        if (moveLeft) {
+            this.vx = -PLAYER_SPEED;
+            this.facingRight = false;
+            if (this.onGround && !this.climbing) {
+                Adapters.audio.playWalk();
+            }
+        } else if (moveRight) {
+            this.vx = PLAYER_SPEED;
+            this.facingRight = true;
+            if (this.onGround && !this.climbing) {
+                Adapters.audio.playWalk();
+            }
+        } else {
+            this.vx = 0;
+            Adapters.audio.stopWalk();
+        }
+        
+        // Ladder climbing
+        if (this.onLadder) {
+            if (moveUp) {
+                this.climbing = true;
+                this.vy = -CLIMB_SPEED;
+                this.onGround = false;
+            } else if (moveDown) {
+                this.climbing = true;
+                this.vy = CLIMB_SPEED;
+                this.onGround = false; // Allow starting to climb down
+            } else if (this.climbing) {
+                this.vy = 0;
+            }
+            
+            // Exit ladder if moving horizontally
+            if (moveLeft || moveRight) {
+                this.climbing = false;
+            }
+        } else {
+            // Stop climbing when off ladder
+            this.climbing = false;
+        }
+        
+        // Apply gravity when not climbing
+        if (!this.climbing) {
+            this.vy += levelSettings.gravity;
+        }
+        
+        // Limit jump height to prevent level-skipping (but not when climbing)
+        // Cap upward velocity when max height reached
+        if (!this.climbing && this.jumpStartY - this.y >= this.maxJumpHeight && this.vy < 0) {
+            this.vy = 0;  // Stop upward movement
+        }
+        
+        // Update position; conveyors carry the player along on top of any walking
+        const surfaceSpeed = this.onGround ? PlatformGeometry.surfaceSpeed(this.platform) : 0;
+        this.x += this.vx + surfaceSpeed;
+        this.y += this.vy;
+        
+        // A broken ladder runs out of rungs partway up
+        if (this.climbing && brokenTop !== null && this.y + this.height < brokenTop) {
+            this.y = brokenTop - this.height;
+            this.vy = 0;
+        }
+        
+        // Boundary check
+        if (this.x < 0) this.x = 0;
+        if (this.x + this.width > WORLD_WIDTH) this.x = WORLD_WIDTH - this.width;
+        
+        // Platform collision with angled surfaces
+        this.onGround = false;
+        this.platform = null;
+        
+        // Only check platform collision if NOT climbing up
+        if (!(this.climbing && this.vy < 0)) {
+            for (let platform of platforms) {
+                // Use angled collision detection
+                if (PlatformGeometry.checkAngledCollision(this, platform, this.width, this.height)) {
+                    // Check if we're at the bottom of a ladder (climbing down)
+                    let atLadderBottom = false;
+                    if (this.climbing && this.vy > 0) { // Climbing down
+                        // Check if there's a ladder below us
+                        for (let ladder of ladders) {
+                            const playerCenterX = this.x + this.width / 2;
+                            // If player is on a ladder and the ladder bottom is at or above this platform
+                            if (playerCenterX > ladder.x && 
+                                playerCenterX < ladder.x + ladder.width &&
+                                this.y + this.height >= ladder.y + ladder.height - 10) {
+                                atLadderBottom = true;
+                                break;
+                            }
+                        }
+                    }
+                    
+                    // Only stop if not climbing, or if climbing down and at ladder bottom
+                    if (!this.climbing || atLadderBottom) {
+                        // Position player on angled platform surface
+                        const playerCenterX = this.x + this.width / 2;
+                        this.y = PlatformGeometry.getAngledPlatformY(playerCenterX, platform, this.height);
+                        this.vy = 0;
+                        this.onGround = true;
+                        this.platform = platform;
+                        this.climbing = false;
+                    }
+                }
+            }
+        }
+        
+        // Landing from too high is as fatal as falling off the bottom
+        if (this.onGround && this.y - this.fallStartY > FALL_DEATH_HEIGHT) {
+            this.loseLife();
+        } else if (this.y > WORLD_HEIGHT) {
+            this.loseLife();
+        }
+        if (this.onGround || this.climbing) this.fallStartY = this.y;
+    },
+    
+    jump() {
+        if (this.onGround && !this.climbing && this.hammerTimer === 0) {
+            this.vy = JUMP_POWER;
+            this.jumpStartY = this.y;  // Track where jump started
+            this.onGround = false;
+            Adapters.audio.playJump();
+        }
+    },
+    
+    // Area the swinging hammer covers: in front of the player and over their head
+    hammerHitbox() {
+        const centerX = this.x + this.width / 2;
+        return {
+            x: this.facingRight ? centerX : this.x - HAMMER_REACH,
+            y: this.y - HAMMER_REACH,
+            width: this.width / 2 + HAMMER_REACH,
+            height: this.height + HAMMER_REACH
+        };
+    },
+    
+    // Start the death sequence; updateDeath() respawns the player or ends the game
+    loseLife() {
+        if (this.deathTimer > 0) return;
+        lives--;
+        stageDeaths++;
+        this.deathTimer = DEATH_FRAMES;
+        this.vx = 0;
+        this.vy = 0;
+        this.climbing = false;
+        this.hammerTimer = 0;
+        Adapters.audio.stopWalk();
+        Adapters.audio.stopMusic();
+        Adapters.audio.playDeath(); // Play dramatic death sound
+    },
+    
+    // Whether the death sequence is playing
+    get dying() {
+        return this.deathTimer > 0;
+    }
+};
+
+// Barrel object
+class Barrel {
+    // Blue barrels turn into a fireball when they reach the oil drum. Wild ones are thrown
+    // at the player and bounce down through the girders instead of rolling along them.
+    constructor(x, y, blue = false, wild = false) {
+        this.x = x;
+        this.y = y;
+        this.radius = 15; // Changed from width/height to radius
+        this.vx = 0; // DK lets go of it and the girder sets it rolling
+        this.vy = 0;
+        this.rotation = 0;
+        this.onPlatform = false;
+        this.currentPlatform = null;
+        this.droppingFrom = null; // Girder it left down a ladder; ignored until it lands below
+        this.blue = blue;
+        this.wild = wild;
+        this.wildBounces = wild ? WILD_BARREL_BOUNCES : 0;
+        this.passing = null; // Girder a wild barrel last bounced on, and is now falling through
+        this.scored = false; // Track if player already scored from jumping this barrel
+        if (wild) {
+            this.vx = Math.sign(player.x + player.width / 2 - x) * levelSettings.barrelSpeed || levelSettings.barrelSpeed;
+        }
+    }
+    
+    checkPlatformEdge() {
+        // Check if barrel center is beyond current platform bounds
+        if (this.currentPlatform) {
+            const platformLeft = this.currentPlatform.x;
+            const platformRight = this.currentPlatform.x + this.currentPlatform.width;
+            
+            // Barrel is at edge if center is beyond platform bounds
+            if (this.x < platformLeft || this.x > platformRight) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    update() {
+        if (this.wild) {
+            this.updateWild();
+            return;
+        }
+        
+        // Update rotation proportional to horizontal velocity before moving
+        // Rotation is based on distance traveled: angle = distance / radius
+        // This creates realistic rolling motion
+        if (this.vx !== 0) {
+            this.rotation += this.vx / this.radius;
+        }
+        
+        // Maintain rotation during falling by adding vertical component
+        // This ensures continuous rotation animation when falling between platforms
+        if (this.vy !== 0 && !this.onPlatform) {
+            // Add slight rotation based on vertical velocity to show tumbling
+            this.rotation += this.vy * 0.02;
+        }
+        
+        // Apply gravity when not on platform
+        if (!this.onPlatform) {
+            this.vy += levelSettings.gravity;
+        }
+        
+        // Update position, plus the push of any conveyor underneath
+        this.x += this.vx + (this.onPlatform ? PlatformGeometry.surfaceSpeed(this.currentPlatform) : 0);
+        this.y += this.vy;
+        
+        // Keep barrel within screen bounds horizontally
+        if (this.x < this.radius) {
+            this.x = this.radius;
+        }
+        if (this.x > WORLD_WIDTH - this.radius) {
+            this.x = WORLD_WIDTH - this.radius;
+        }
+        
+        // Check if at platform edge before collision check
+        if (this.onPlatform && this.checkPlatformEdge()) {
+            this.onPlatform = false;
+            this.currentPlatform = null;
+        }
+        
+        // Platform collision with angled surfaces
+        const landing = !this.onPlatform;
+        this.onPlatform = false;
+        for (let platform of platforms) {
+            if (platform === this.droppingFrom) continue;
+            
+            // Create a temporary entity object for collision check
+            const barrelAsEntity = {
+                x: this.x - this.radius,
+                y: this.y - this.radius,
+                vy: this.vy
+            };
+            
+            if (PlatformGeometry.checkAngledCollision(barrelAsEntity, platform, this.radius * 2, this.radius * 2)) {
+                // Position barrel on angled platform surface
+                this.y = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
+                this.droppingFrom = null;
+                
+                // Coming down against the slope knocks most of the speed out of it, so it
+                // rolls back down instead of straight off the end
+                if (landing && this.vx * PlatformGeometry.slope(platform) < 0) {
+                    this.vx *= BARREL_LANDING_GRIP;
+                }
+                
+                // A hard landing bounces back up a little
+                if (this.vy > BARREL_MIN_BOUNCE) {
+                    this.vy = -this.vy * BARREL_BOUNCE;
+                    break;
+                }
+                this.vy = 0;
+                this.onPlatform = true;
+                this.currentPlatform = platform;
+                this.roll(platform);
+                
+                break; // Only collide with one platform at a time
+            }
+        }
+        
+        // Rolling over the top of a ladder - chance to drop straight down it
+        if (this.onPlatform) {
+            for (const node of Navigation.ladderEndsOn(navGraph, platforms.indexOf(this.currentPlatform))) {
+                const ladder = ladders[navGraph.nodes[node].ladder];
+                if (navGraph.nodes[node].kind === 'ladderTop' &&
+                    this.x > ladder.x && this.x < ladder.x + ladder.width &&
+                    Random.gameplay.next() < levelSettings.ladderDrop) {
+                    this.x = ladder.x + ladder.width / 2;
+                    this.vx = 0;
+                    this.vy = 2;
+                    this.onPlatform = false;
+                    this.droppingFrom = this.currentPlatform;
+                    this.currentPlatform = null;
+                    break;
+                }
+            }
+        }
+    }
+    
+    // Fall without landing on girders: hop off each one met on the way down, turn round
+    // and drop on through it. Once the bounces run out, or at the floor, the next girder
+    // catches it and it rolls on as a normal barrel.
+    updateWild() {
+        this.vy += levelSettings.gravity;
+        const previousY = this.y;
+        this.x += this.vx;
+        this.y += this.vy;
+        this.rotation += this.vx / this.radius;
+        
+        if (this.x < this.radius || this.x > WORLD_WIDTH - this.radius) {
+            this.x = Math.max(this.radius, Math.min(WORLD_WIDTH - this.radius, this.x));
+            this.vx = -this.vx;
+        }
+        
+        for (const platform of platforms) {
+            if (platform === this.passing || !Navigation.spans(this.x, platform)) continue;
+            const restY = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
+            if (previousY > restY || this.y < restY) continue;
+            
+            this.y = restY;
+            if (this.wildBounces === 0 || platform === platforms[0]) {
+                this.wild = false; // Normal physics lands it from here
+                this.vy = 0;
+                return;
+            }
+            this.wildBounces--;
+            this.vy = -WILD_BARREL_HOP;
+            this.vx = -this.vx;
+            this.passing = platform;
+            return;
+        }
+    }
+    
+    // Speed up down the girder's slope, up to the level's barrel speed
+    roll(platform) {
+        const slope = PlatformGeometry.slope(platform);
+        if (slope !== 0) {
+            this.vx += levelSettings.gravity * slope * BARREL_SLOPE_PULL;
+        } else if (this.vx === 0 || (oilDrum && platform === platforms[0])) {
+            // Flat platform - start rolling. Whatever way a barrel lands on the bottom
+            // floor, it heads for the oil drum.
+            const drumOnLeft = oilDrum && platform === platforms[0] && oilDrum.x + OIL_DRUM_WIDTH / 2 < this.x;
+            this.vx = drumOnLeft ? -levelSettings.barrelSpeed : levelSettings.barrelSpeed;
+        }
+        this.vx = Math.max(-levelSettings.barrelSpeed, Math.min(levelSettings.barrelSpeed, this.vx));
+    }
+}
+
+let barrels = [];
+
+// Barrels knock into each other instead of overlapping. Two rolling along the same girder
+// trade speeds, so a head-on pair both turn back, and one coming down on top of another
+// bounces off it, or rides along on top once it has stopped bouncing.
+function collideBarrels() {
+    for (let i = 0; i < barrels.length; i++) {
+        for (let j = i + 1; j < barrels.length; j++) {
+            const a = barrels[i];
+            const b = barrels[j];
+            if (a.wild || b.wild) continue; // They go through everything
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const reach = a.radius + b.radius;
+            if (dx * dx + dy * dy >= reach * reach) continue;
+            
+            if (a.onPlatform && b.onPlatform && a.currentPlatform === b.currentPlatform) {
+                const push = ((reach - Math.abs(dx)) / 2) * (Math.sign(dx) || 1);
+                a.x -= push;
+                b.x += push;
+                if ((b.vx - a.vx) * dx < 0) [a.vx, b.vx] = [b.vx, a.vx]; // Only if closing in
+                continue;
+            }
+            
+            const [upper, lower] = dy > 0 ? [a, b] : [b, a];
+            if (upper.onPlatform || upper.vy < 0) continue;
+            upper.y = lower.y - Math.sqrt(Math.max(0, reach * reach - (upper.x - lower.x) ** 2));
+            if (upper.vy > BARREL_MIN_BOUNCE) {
+                upper.vy = -upper.vy * BARREL_BOUNCE;
+            } else {
+                upper.vy = lower.vy;
+                upper.vx = lower.vx;
+            }
+        }
+    }
+}
+
+// Fireball class - bouncing enemy
+class Fireball {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.radius = 12;
+        this.vx = this.speed(); // Much slower than barrels (50% speed)
+        this.vy = -2.5; // Very low initial bounce
+        this.rotation = 0;
+        this.animationFrame = 0;
+        this.scored = false;
+        this.onPlatform = false;
+        this.currentPlatform = null; // Girder it walks on; kept through hops so it never walks off
+        this.bounceCount = 0;
+        this.thinkTimer = 0;         // Frames until it picks a direction again
+        this.ladder = null;          // Ladder being climbed
+        this.climbDir = 0;           // -1 climbing up, 1 climbing down
+        this.lastLadder = null;      // Ladder end already decided on, until it walks off it
+    }
+    
+    // Walking speed; fireballs dawdle while the player is far away, as in the arcade
+    speed() {
+        const dx = player.x + player.width / 2 - this.x;
+        const dy = player.y + player.height / 2 - this.y;
+        const far = dx * dx + dy * dy > FIREBALL_FAR_DISTANCE * FIREBALL_FAR_DISTANCE;
+        return levelSettings.barrelSpeed * 0.5 * (far ? FIREBALL_FAR_SLOWDOWN : 1);
+    }
+    
+    // Quickest walking and climbing route to the player, or null if there is none
+    routeToPlayer() {
+        return Navigation.findPath(navGraph,
+            { x: this.x, y: this.y + this.radius },
+            { x: player.x + player.width / 2, y: player.y + player.height },
+            FIREBALL_MOVES);
+    }
+    
+    update() {
+        this.rotation += 0.2;
+        this.animationFrame++;
+        
+        if (this.ladder) {
+            this.climb();
+            return;
+        }
+        
+        // Apply gravity when not on platform
+        if (!this.onPlatform) {
+            this.vy += levelSettings.gravity;
+        }
+        
+        // Update position
+        this.vx = Math.sign(this.vx || 1) * this.speed();
+        this.x += this.vx + (this.onPlatform ? PlatformGeometry.surfaceSpeed(this.currentPlatform) : 0);
+        this.y += this.vy;
+        
+        // Turn around at the screen edges and at the ends of the girder it is walking on
+        const left = Math.max(this.radius, this.currentPlatform ? this.currentPlatform.x + this.radius : 0);
+        const right = Math.min(WORLD_WIDTH - this.radius,
+            this.currentPlatform ? this.currentPlatform.x + this.currentPlatform.width - this.radius : WORLD_WIDTH);
+        if (this.x < left) {
+            this.x = left;
+            this.vx = Math.abs(this.vx);
+        } else if (this.x > right) {
+            this.x = right;
+            this.vx = -Math.abs(this.vx);
+        }
+        
+        const wasFalling = !this.onPlatform && !this.currentPlatform;
+        this.land();
+        if (!this.onPlatform) return;
+        
+        // Decide right away after a fall, then every so often while walking
+        if (wasFalling) this.thinkTimer = 0;
+        if (--this.thinkTimer <= 0) {
+            this.pickDirection();
+            this.thinkTimer = FIREBALL_THINK_FRAMES;
+        }
+        this.considerLadders();
+    }
+    
+    // Platform collision with angled surfaces, plus the periodic hop
+    land() {
+        this.onPlatform = false;
+        for (let platform of platforms) {
+            // Create a temporary entity object for collision check
+            const fireballAsEntity = {
+                x: this.x - this.radius,
+                y: this.y - this.radius,
+                vy: this.vy
+            };
+            
+            if (PlatformGeometry.checkAngledCollision(fireballAsEntity, platform, this.radius * 2, this.radius * 2)) {
+                // Position fireball on angled platform surface
+                this.y = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
+                this.vy = 0;
+                this.onPlatform = true;
+                this.currentPlatform = platform;
+                
+                // Natural periodic bounce - gravity makes the arc
+                this.bounceCount++;
+                if (this.bounceCount >= 75) { // Every 75 frames (~1.25 seconds)
+                    this.vy = -4.5;
+                    this.bounceCount = 0;
+                    this.onPlatform = false;
+                }
+                return;
+            }
+        }
+    }
+    
+    // Head along the route to the player. Now and then it wanders the other way so
+    // fireballs don't move in lockstep.
+    pickDirection() {
+        const route = this.routeToPlayer();
+        let dir = Math.sign(this.vx) || 1;
+        if (route && route.length > 0 && route[0].kind === 'walk') {
+            dir = Math.sign(route[0].toX - this.x) || dir;
+        }
+        if (Random.gameplay.next() >= FIREBALL_CHASE_CHANCE) dir = -dir;
+        this.vx = dir * this.speed();
+    }
+    
+    // Walking over a ladder end: take it, usually only if the route to the player climbs it
+    considerLadders() {
+        const node = Navigation.ladderEndsOn(navGraph, platforms.indexOf(this.currentPlatform)).find(end => {
+            const ladder = ladders[navGraph.nodes[end].ladder];
+            return !ladder.broken && this.x > ladder.x && this.x < ladder.x + ladder.width;
+        });
+        if (node === undefined) {
+            this.lastLadder = null;
+            return;
+        }
+        const end = navGraph.nodes[node];
+        const ladder = ladders[end.ladder];
+        if (ladder === this.lastLadder) return;
+        this.lastLadder = ladder;
+        
+        const route = this.routeToPlayer();
+        const next = route && route.find(leg => leg.kind !== 'walk');
+        const chasing = next && next.kind === 'climb' && next.fromX === end.x;
+        if (Random.gameplay.next() < (chasing ? FIREBALL_CHASE_CHANCE : FIREBALL_WANDER_CHANCE)) {
+            this.ladder = ladder;
+            this.climbDir = end.kind === 'ladderTop' ? 1 : -1;
+            this.x = end.x;
+            this.vx = 0;
+            this.vy = 0;
+            this.onPlatform = false;
+            this.currentPlatform = null;
+        }
+    }
+    
+    // Move along the ladder and step off onto the girder at the far end
+    climb() {
+        const ladder = this.ladder;
+        this.y += this.climbDir * FIREBALL_CLIMB_SPEED * this.speed() / (levelSettings.barrelSpeed * 0.5);
+        
+        const endY = this.climbDir > 0 ? ladder.y + ladder.height : ladder.y;
+        const feet = this.y + this.radius;
+        if (this.climbDir > 0 ? feet < endY : feet > endY) return;
+        
+        this.ladder = null;
+        this.lastLadder = ladder; // Don't turn straight back onto it
+        this.thinkTimer = 0;
+        const landing = Navigation.platformNear(platforms, this.x, endY, -1);
+        if (landing !== -1) {
+            this.currentPlatform = platforms[landing];
+            this.y = PlatformGeometry.getAngledPlatformY(this.x, this.currentPlatform, this.radius);
+            this.onPlatform = true;
+            this.pickDirection();
+        } else {
+            this.y = endY - this.radius; // Ladder end in mid-air: drop
+        }
+    }
+}
+
+let fireballs = [];
+
+// Cement pan - rides the conveyors and tips off the end of each belt
+class CementPan {
+    // Starts on the end of the belt that feeds the rest of it
+    constructor(platform) {
+        this.radius = 12;
+        const speed = PlatformGeometry.surfaceSpeed(platform);
+        this.x = speed > 0 ? platform.x + this.radius : platform.x + platform.width - this.radius;
+        this.y = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
+        this.vx = speed;
+        this.vy = 0;
+        this.onPlatform = true;
+        this.currentPlatform = platform;
+        this.scored = false;
+    }
+    
+    update() {
+        // Pans don't move by themselves: the belt carries them, or they fall
+        if (this.onPlatform) {
+            this.vx = PlatformGeometry.surfaceSpeed(this.currentPlatform);
+        } else {
+            this.vy += levelSettings.gravity;
+        }
+        this.x += this.vx;
+        this.y += this.vy;
+        
+        // Tip off the end of the belt
+        if (this.onPlatform) {
+            const platform = this.currentPlatform;
+            if (this.x >= platform.x && this.x <= platform.x + platform.width) return;
+            this.onPlatform = false;
+            this.currentPlatform = null;
+        }
+        
+        for (let platform of platforms) {
+            const panAsEntity = { x: this.x - this.radius, y: this.y - this.radius, vy: this.vy };
+            if (PlatformGeometry.checkAngledCollision(panAsEntity, platform, this.radius * 2, this.radius * 2)) {
+                this.y = PlatformGeometry.getAngledPlatformY(this.x, platform, this.radius);
+                this.vy = 0;
+                this.onPlatform = true;
+                this.currentPlatform = platform;
+                return;
+            }
+        }
+    }
+    
+    // Landed on something that isn't a belt, which breaks it
+    get broken() {
+        return this.onPlatform && !this.currentPlatform.conveyor;
+    }
+}
+
+let cementPans = [];
+
+// Spring (jack) - bounces away from DK along his girder, then drops straight down the
+// shaft past its end. Too high to jump, so the player has to pass under a bounce.
+class Spring {
+    constructor(x, platform) {
+        this.x = x;
+        this.y = PlatformGeometry.getAngledPlatformY(x, platform, 0); // Bottom center
+        this.vx = x < platform.x + platform.width / 2 ? SPRING_SPEED : -SPRING_SPEED; // Toward the far end
+        this.vy = 0;
+        this.platform = platform; // Girder it is bouncing along, null once dropping
+        this.age = 0;
+    }
+    
+    update() {
+        if (this.platform) {
+            this.x += this.vx;
+            this.age++;
+            if (this.x < this.platform.x || this.x > this.platform.x + this.platform.width) {
+                this.platform = null; // Off the end and down the shaft
+                this.vx = 0;
+            }
+        }
+        if (this.platform) {
+            const ground = PlatformGeometry.getAngledPlatformY(this.x, this.platform, 0);
+            this.y = ground - SPRING_BOUNCE_HEIGHT * 4 * this.phase * (1 - this.phase);
+        } else {
+            this.vy += levelSettings.gravity;
+            this.y += this.vy;
+        }
+    }
+    
+    // How far through the current bounce it is, from 0 at take-off to 1 on landing
+    get phase() {
+        return (this.age % SPRING_BOUNCE_FRAMES) / SPRING_BOUNCE_FRAMES;
+    }
+    
+    // How squashed the coil is: 1 while it lands and takes off, 0 in the air
+    get squash() {
+        if (!this.platform) return 0;
+        return Math.max(0, 1 - Math.min(this.phase, 1 - this.phase) * 10);
+    }
+    
+    hitbox() {
+        return { x: this.x - SPRING_WIDTH / 2, y: this.y - SPRING_HEIGHT, width: SPRING_WIDTH, height: SPRING_HEIGHT };
+    }
+    
+    // A copy to play forward without moving this one
+    clone() {
+        return Object.assign(Object.create(Spring.prototype), this);
+    }
+}
+
+let springs = [];
+
+// Donkey Kong at the top (drawn by game.js)
+const donkeyKong = {
+    x: 330,
+    y: 45,
+    baseY: 45,
+    width: 100,
+    height: 70,
+    vy: 0,
+    wildNext: false,    // Next plain barrel thrown is a wild one
+    defeated: false,
+    falling: false      // Dropping to the floor once the last rivet is out
+};
+
+// Goal area (tighter collision matching DK's actual body)
+// Placement comes from the stage definition via loadStage()
+const goal = {
+    x: 350,  // Match DK's x position more closely
+    y: 55,   // Match DK's new y position
+    width: 70,  // Match DK's actual width
+    height: 50  // Match DK's actual height
+};
+
+// Ways to clear a level, chosen by the stage's winCondition
+const WIN_CONDITIONS = {
+    // Touch the goal box around DK
+    goal: () => player.x + player.width > goal.x &&
+        player.x < goal.x + goal.width &&
+        player.y + player.height > goal.y &&
+        player.y < goal.y + goal.height,
+    // Pull every rivet, and DK falls
+    rivets: () => rivets.every(rivet => rivet.removed)
+};
+
+let enemySpawnCount = 0;
+
+function spawnBarrel(blue = false, wild = false) {
+    barrels.push(new Barrel(donkeyKong.x + 25, donkeyKong.y + donkeyKong.height, blue, wild));
+}
+
+// Whether DK's next throw is a fireball (or a blue barrel that becomes one)
+function nextThrowIsFireball() {
+    return levelSettings.fireballEvery > 0 && (enemySpawnCount + 1) % levelSettings.fireballEvery === 0 &&
+        fireballs.length < MAX_FIREBALLS;
+}
+
+// DK holds a wild barrel up before throwing it, so the player gets some warning
+function wildBarrelComing() {
+    return donkeyKong.wildNext && !donkeyKong.defeated && !nextThrowIsFireball() &&
+        levelSettings.spawnInterval - barrelSpawnTimer <= WILD_BARREL_TELL_FRAMES;
+}
+
+function spawnFireball() {
+    fireballs.push(new Fireball(donkeyKong.x + 25, donkeyKong.y + donkeyKong.height));
+}
+
+// Put a cement pan on a random conveyor
+function spawnCementPan() {
+    const belts = platforms.filter(platform => platform.conveyor);
+    if (belts.length === 0) return;
+    cementPans.push(new CementPan(belts[Math.floor(Random.gameplay.next() * belts.length)]));
+}
+
+// Release a spring onto the girder DK stands on
+function spawnSpring() {
+    const x = donkeyKong.x + donkeyKong.width / 2;
+    const under = Navigation.platformNear(platforms, x, donkeyKong.y + donkeyKong.height, -1);
+    if (under === -1) return;
+    springs.push(new Spring(x, platforms[under]));
+}
+
+// Barrels that roll into the oil drum set it alight; blue ones come back out as a fireball
+function feedOilDrum() {
+    if (!oilDrum) return;
+    const drumBox = { x: oilDrum.x, y: oilDrum.y, width: OIL_DRUM_WIDTH, height: OIL_DRUM_HEIGHT };
+    
+    for (let i = barrels.length - 1; i >= 0; i--) {
+        const barrel = barrels[i];
+        if (!circleTouchesRect(barrel, drumBox)) continue;
+        
+        barrels.splice(i, 1);
+        oilDrum.lit = true;
+        if (barrel.blue && fireballs.length < MAX_FIREBALLS) {
+            const fireball = new Fireball(oilDrum.x + OIL_DRUM_WIDTH / 2, oilDrum.y - 12);
+            // Hop out of the drum toward the middle of the screen
+            if (fireball.x > WORLD_WIDTH / 2) fireball.vx = -fireball.vx;
+            fireballs.push(fireball);
+            Adapters.effects.explosion(fireball.x, oilDrum.y);
+        }
+    }
+}
+
+// Pick up a hammer the player walks into (not while climbing or already holding one)
+function collectHammers() {
+    if (player.climbing || player.hammerTimer > 0) return;
+    for (let hammer of hammers) {
+        if (!hammer.taken &&
+            player.x + player.width > hammer.x &&
+            player.x < hammer.x + HAMMER_WIDTH &&
+            player.y + player.height > hammer.y &&
+            player.y < hammer.y + HAMMER_HEIGHT) {
+            hammer.taken = true;
+            player.hammerTimer = HAMMER_TIME;
+            Adapters.audio.playScore();
+            return;
+        }
+    }
+}
+
+function circleTouchesRect(circle, rect) {
+    const nearestX = Math.max(rect.x, Math.min(circle.x, rect.x + rect.width));
+    const nearestY = Math.max(rect.y, Math.min(circle.y, rect.y + rect.height));
+    const dx = circle.x - nearestX;
+    const dy = circle.y - nearestY;
+    return dx * dx + dy * dy < circle.radius * circle.radius;
+}
+
+// Destroy barrels and fireballs that touch the swinging hammer
+function smashWithHammer() {
+    if (player.hammerTimer === 0) return;
+    const hitbox = player.hammerHitbox();
+    
+    for (let i = barrels.length - 1; i >= 0; i--) {
+        if (circleTouchesRect(barrels[i], hitbox)) {
+            smashEnemy(barrels[i], BARREL_SMASH_POINTS);
+            barrels.splice(i, 1);
+        }
+    }
+    
+    for (let i = fireballs.length - 1; i >= 0; i--) {
+        if (circleTouchesRect(fireballs[i], hitbox)) {
+            smashEnemy(fireballs[i], FIREBALL_SMASH_POINTS);
+            fireballs.splice(i, 1);
+        }
+    }
+    
+    for (let i = cementPans.length - 1; i >= 0; i--) {
+        if (circleTouchesRect(cementPans[i], hitbox)) {
+            smashEnemy(cementPans[i], PAN_SMASH_POINTS);
+            cementPans.splice(i, 1);
+        }
+    }
+}
+
+function smashEnemy(enemy, points) {
+    Adapters.effects.explosion(enemy.x, enemy.y);
+    Adapters.audio.playHit();
+    awardPoints(points, enemy.x, enemy.y);
+}
+
+// Add to the score and show the amount floating up from (x, y)
+function awardPoints(points, x, y) {
+    score += points;
+    Adapters.effects.text(x, y, `${points}`);
+    updateHighScore();
+}
+
+// Collect any bonus item the player touches
+function collectItems() {
+    for (let item of items) {
+        if (!item.collected &&
+            player.x + player.width > item.x &&
+            player.x < item.x + ITEM_SIZE &&
+            player.y + player.height > item.y &&
+            player.y < item.y + ITEM_SIZE) {
+            item.collected = true;
+            Adapters.audio.playScore();
+            awardPoints(item.points, item.x + ITEM_SIZE / 2, item.y);
+        }
+    }
+}
+
+// Score jumps over one kind of enemy and take a life if one touches the player.
+// Returns true once the player has been hit.
+function checkEnemyCollisions(enemies, jumpPoints) {
+    for (let i = enemies.length - 1; i >= 0; i--) {
+        const enemy = enemies[i];
+        
+        // Calculate distance between player center and enemy center
+        const playerCenterX = player.x + player.width / 2;
+        const playerCenterY = player.y + player.height / 2;
+        const dx = playerCenterX - enemy.x;
+        const dy = playerCenterY - enemy.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Check if player is clearly above the enemy (jumping over it)
+        const playerBottom = player.y + player.height;
+        const enemyTop = enemy.y - enemy.radius;
+        
+        // Horizontal overlap check
+        const horizontalOverlap = Math.abs(playerCenterX - enemy.x) < (player.width / 2 + enemy.radius);
+        
+        if (horizontalOverlap && !player.onGround && playerBottom < enemyTop + 5 && !enemy.scored) {
+            // Successfully jumping over it!
+            Adapters.audio.playScore();
+            awardPoints(jumpPoints, enemy.x, enemyTop);
+            
+            // Mark it as scored to prevent double-scoring
+            enemy.scored = true;
+            continue;
+        }
+        
+        // Collision if distance is less than sum of radii (approximate player as circle)
+        const playerRadius = Math.min(player.width, player.height) / 2;
+        if (distance < playerRadius + enemy.radius) {
+            Adapters.effects.explosion(enemy.x, enemy.y);
+            player.loseLife();
+            return true;
+        }
+    }
+    return false;
+}
+
+// Springs can't be jumped for points; any touch takes a life. Returns true on a hit.
+function checkSpringCollisions() {
+    const playerCircle = {
+        x: player.x + player.width / 2,
+        y: player.y + player.height / 2,
+        radius: Math.min(player.width, player.height) / 2
+    };
+    for (const spring of springs) {
+        if (circleTouchesRect(playerCircle, spring.hitbox())) {
+            Adapters.effects.explosion(spring.x, spring.y - SPRING_HEIGHT / 2);
+            player.loseLife();
+            return true;
+        }
+    }
+    return false;
+}
+
+function checkCollisions() {
+    if (player.invincible) return;
+    
+    if (checkEnemyCollisions(barrels, BARREL_JUMP_POINTS) ||
+        checkEnemyCollisions(fireballs, FIREBALL_JUMP_POINTS) ||
+        checkEnemyCollisions(cementPans, PAN_JUMP_POINTS) ||
+        checkSpringCollisions()) {
+        return;
+    }
+}
+
+// End the level once the stage's win condition is met. On a rivet stage DK falls to
+// the floor first.
+function checkWin() {
+    if (donkeyKong.defeated || !WIN_CONDITIONS[levelSettings.winCondition]()) return;
+    donkeyKong.defeated = true;
+    if (levelSettings.winCondition === 'rivets') {
+        donkeyKong.falling = true;
+    } else {
+        completeLevel();
+    }
+}
+
+// DK's fall at the end of a rivet stage; the level is complete when he lands
+function dropDonkeyKong() {
+    donkeyKong.vy += levelSettings.gravity;
+    donkeyKong.y += donkeyKong.vy;
+    const floorY = platforms[0].y;
+    if (donkeyKong.y + donkeyKong.height >= floorY) {
+        donkeyKong.y = floorY - donkeyKong.height;
+        donkeyKong.falling = false;
+        completeLevel();
+    }
+}
+
+function completeLevel() {
+    awardPoints(bonus, player.x + player.width / 2, player.y);
+    Adapters.audio.stopMusic();
+    Adapters.audio.playLevelComplete();
+    gameState = 'levelComplete';
+}
+
+// Walking over a rivet loosens it, and it comes out once the player is clear of the
+// spot, so nobody drops straight through the hole they made
+function pullRivets() {
+    const centerX = player.x + player.width / 2;
+    const feetY = player.y + player.height;
+    for (const rivet of rivets) {
+        if (rivet.removed) continue;
+        const overHole = Math.abs(centerX - rivet.x) <= RIVET_GAP / 2 &&
+            Math.abs(feetY - rivet.y) <= player.height + player.maxJumpHeight;
+        if (rivet.stepped) {
+            if (!overHole) removeRivet(rivet);
+        } else if (overHole && player.onGround && Navigation.spans(rivet.x, player.platform) &&
+            Math.abs(Navigation.surfaceY(rivet.x, player.platform) - rivet.y) <= Navigation.LADDER_TOLERANCE) {
+            rivet.stepped = true;
+        }
+    }
+}
+
+// Take a rivet out, splitting its girder around the hole. The left part keeps the
+// girder's index and the right part goes on the end, so other indices stay put.
+function removeRivet(rivet) {
+    rivet.removed = true;
+    Adapters.audio.playScore();
+    awardPoints(RIVET_POINTS, rivet.x, rivet.y);
+    
+    const index = Navigation.platformNear(platforms, rivet.x, rivet.y, -1);
+    if (index === -1) return;
+    const platform = platforms[index];
+    const left = { ...platform, width: rivet.x - RIVET_GAP / 2 - platform.x };
+    const right = {
+        ...platform,
+        x: rivet.x + RIVET_GAP / 2,
+        width: platform.x + platform.width - (rivet.x + RIVET_GAP / 2)
+    };
+    platforms[index] = left;
+    platforms.push(right);
+    
+    // Whatever was on the girder is now on one part or the other
+    const half = (x) => x < rivet.x ? left : right;
+    for (const enemy of [...barrels, ...fireballs, ...cementPans]) {
+        if (enemy.currentPlatform === platform) enemy.currentPlatform = half(enemy.x);
+        if (enemy.droppingFrom === platform) enemy.droppingFrom = half(enemy.x);
+        if (enemy.passing === platform) enemy.passing = half(enemy.x);
+    }
+    for (const spring of springs) {
+        if (spring.platform === platform) spring.platform = half(spring.x);
+    }
+    if (player.platform === platform) player.platform = half(player.x + player.width / 2);
+    navGraph = Navigation.build(platforms, ladders, levelSettings.gravity);
+}
+
+// Put the rivets back, and the girders they held together
+function resetRivets() {
+    if (rivets.some(rivet => rivet.removed)) {
+        platforms = copyPlatforms(currentStage);
+        navGraph = Navigation.build(platforms, ladders, levelSettings.gravity);
+    }
+    rivets.forEach(rivet => {
+        rivet.stepped = false;
+        rivet.removed = false;
+    });
+}
+
+// Move the elevators and carry whatever stands on them. Riding one off either end of
+// its shaft is fatal.
+function moveElevators() {
+    for (const platform of platforms) {
+        if (!platform.elevator) continue;
+        const dy = PlatformGeometry.moveElevator(platform);
+        const riding = enemy => enemy.onPlatform && enemy.currentPlatform === platform;
+        const playerRiding = player.onGround && player.platform === platform;
+        
+        if (dy === null) {
+            barrels = barrels.filter(barrel => !riding(barrel));
+            fireballs = fireballs.filter(fireball => !riding(fireball));
+            if (playerRiding) player.loseLife();
+            continue;
+        }
+        for (const enemy of [...barrels, ...fireballs]) {
+            if (riding(enemy)) enemy.y += dy;
+        }
+        if (playerRiding) player.y += dy;
+    }
+}
+
+// Put the elevators back where the stage starts them
+function resetElevators() {
+    platforms.forEach((platform, i) => {
+        if (platform.elevator) platform.y = currentStage.platforms[i].y;
+    });
+}
+
+// Run the death sequence with everything else frozen, then clear the enemies away and
+// respawn the player, or end the game on the last life
+function updateDeath() {
+    player.deathTimer--;
+    if (player.deathTimer > 0) return;
+    
+    if (lives <= 0) {
+        gameState = 'gameOver';
+        Adapters.audio.playGameOver();
+        return;
+    }
+    if (adaptiveDifficulty) updateLevelSettings();
+    barrelSpawnTimer = 0;
+    panSpawnTimer = 0;
+    springSpawnTimer = 0;
+    barrels = [];
+    fireballs = [];
+    cementPans = [];
+    springs = [];
+    player.reset();
+    resetBonus();
+    Adapters.audio.startMusic();
+}
+
+// Full bonus for a fresh attempt at the level
+function resetBonus() {
+    bonus = levelSettings.bonus;
+    bonusTimer = 0;
+    bonusHurried = false;
+    Adapters.audio.setHurry(false);
+}
+
+// Count the bonus down; running out costs a life
+function updateBonus() {
+    bonusTimer++;
+    if (bonusTimer < BONUS_TICK_FRAMES) return;
+    
+    bonusTimer = 0;
+    bonus = Math.max(0, bonus - BONUS_STEP);
+    if (bonus <= BONUS_LOW && !bonusHurried) {
+        bonusHurried = true;
+        Adapters.audio.setHurry(true);
+    }
+    if (bonus === 0) {
+        player.loseLife();
+    }
+}
+
+let lastHighScore = 0; // Track when we last celebrated a high score
+
+function updateHighScore() {
+    if (score > highScore) {
+        const oldHighScore = highScore;
+        highScore = score;
+        Adapters.storage.saveHighScore(highScore);
+        
+        // Only trigger confetti when we beat the previous session's high score
+        // Not on every single point increase
+        if (oldHighScore > lastHighScore) {
+            lastHighScore = oldHighScore;
+            Adapters.effects.confetti();
+        }
+    }
+}
+
+// Copy a stage's geometry and placements into the live level
+function loadStage(levelNumber) {
+    const stageIndex = (levelNumber - 1) % campaign.length;
+    applyStage(campaign[stageIndex], levelNumber - 1);
+}
+
+// Runtime copies of a stage's platforms, including the elevator and conveyor settings
+function copyPlatforms(stage) {
+    return stage.platforms.map(platform => {
+        const copy = { ...platform };
+        if (platform.elevator) copy.elevator = { ...platform.elevator };
+        if (platform.conveyor) copy.conveyor = { ...platform.conveyor };
+        return copy;
+    });
+}
+
+// Make a stage definition the live level; levelIndex counts the levels already cleared this run
+function applyStage(stage, levelIndex) {
+    // Copy so runtime changes never leak back into the stage definitions
+    platforms = copyPlatforms(stage);
+    ladders = stage.ladders.map(ladder => ({ ...ladder }));
+    hammers = (stage.hammers || []).map(hammer => ({ ...hammer, taken: false }));
+    items = (stage.items || []).map(item => ({ ...item, collected: false }));
+    oilDrum = stage.oilDrum ? { ...stage.oilDrum, lit: false } : null;
+    rivets = (stage.rivets || []).map(rivet => ({ ...rivet, stepped: false, removed: false }));
+    
+    player.startX = stage.playerStart.x;
+    player.startY = stage.playerStart.y;
+    
+    donkeyKong.x = stage.donkeyKong.x;
+    donkeyKong.y = stage.donkeyKong.y;
+    donkeyKong.baseY = stage.donkeyKong.y;
+    donkeyKong.vy = 0;
+    donkeyKong.falling = false;
+    Object.assign(goal, stage.goal);
+    
+    currentStage = stage;
+    currentLevelIndex = levelIndex;
+    stageDeaths = 0;
+    updateLevelSettings();
+    navGraph = Navigation.build(platforms, ladders, levelSettings.gravity);
+}
+
+// Tune the live level for the difficulty preset, how far into the run it is and,
+// in adaptive mode, how often the player has died on it
+function updateLevelSettings() {
+    const preset = DIFFICULTIES[difficulty];
+    const stage = currentStage;
+    const levels = currentLevelIndex;
+    const loop = Math.floor(levels / campaign.length);
+    
+    // 1 at full difficulty, lower once adaptive mode starts easing off
+    const ease = adaptiveDifficulty && stageDeaths >= 2
+        ? Math.max(ADAPTIVE_MIN_EASE, 1 - (stageDeaths - 1) * ADAPTIVE_EASE_STEP)
+        : 1;
+    
+    // Every level is a little faster and busier, and each loop through the campaign more so
+    const speedScale = 1 + levels * LEVEL_SPEED_BONUS + loop * LOOP_SPEED_BONUS;
+    const spawnScale = preset.spawnScale * Math.pow(LEVEL_SPAWN_FACTOR, levels) * Math.pow(LOOP_SPAWN_FACTOR, loop);
+    
+    levelSettings = {
+        bonus: stage.bonus ?? BONUS_START,
+        winCondition: stage.winCondition ?? 'goal',
+        gravity: preset.gravity,
+        barrelSpeed: Math.min(MAX_BARREL_SPEED, preset.barrelSpeed * speedScale) * ease,
+        spawnInterval: Math.max(MIN_SPAWN_INTERVAL, Math.round(stage.spawnInterval * spawnScale / ease)),
+        fireballEvery: stage.fireballEvery > 0
+            ? Math.max(2, stage.fireballEvery + preset.fireballShift - loop + (ease < 1 ? 1 : 0))
+            : 0,
+        wildChance: stage.wildChance ?? 0,
+        panInterval: stage.panInterval > 0
+            ? Math.max(MIN_SPAWN_INTERVAL, Math.round(stage.panInterval * spawnScale / ease))
+            : 0,
+        springInterval: stage.springInterval > 0
+            ? Math.max(MIN_SPAWN_INTERVAL, Math.round(stage.springInterval * spawnScale / ease))
+            : 0,
+        ladderDrop: Math.min(MAX_LADDER_DROP, preset.ladderDrop + levels * LEVEL_LADDER_BONUS) * ease
+    };
+}
+
+// Pick the difficulty for the next game; unknown names fall back to Normal
+function setDifficulty(name, adaptive = false) {
+    difficulty = DIFFICULTIES[name] ? name : 'normal';
+    adaptiveDifficulty = adaptive;
+}
+
+// Play a single custom stage (from a level file or the editor) instead of the campaign
+function useCustomLevel(stage) {
+    campaign = [stage];
+    level = 1;
+    loadStage(level);
+    gameState = 'start';
+}
+
+// seed: optional, for replays; otherwise the URL seed or a fresh one
+// record: false when the inputs come from an existing recording
+function startGame(seed, record = true) {
+    gameState = 'playing';
+    level = 1;
+    loadStage(level);
+    Random.reseed(seed);
+    if (record) {
+        InputRecorder.start(campaign === STAGES ? null : campaign);
+    } else {
+        InputRecorder.stop();
+    }
+    score = 0;
+    lives = DIFFICULTIES[difficulty].lives;
+    frameCount = 0;
+    barrelSpawnTimer = 0;
+    panSpawnTimer = 0;
+    springSpawnTimer = 0;
+    enemySpawnCount = 0;
+    barrels = [];
+    fireballs = [];
+    cementPans = [];
+    springs = [];
+    hammers.forEach(hammer => { hammer.taken = false; });
+    items.forEach(item => { item.collected = false; });
+    if (oilDrum) oilDrum.lit = false;
+    player.reset();
+    resetBonus();
+    donkeyKong.defeated = false;
+    donkeyKong.wildNext = false;
+    
+    // Spawn first barrel immediately
+    spawnBarrel();
+    
+    Adapters.audio.startMusic();
+}
+
+function restartLevel() {
+    gameState = 'playing';
+    resetRivets();
+    resetElevators();
+    frameCount = 0;
+    barrelSpawnTimer = 0;
+    panSpawnTimer = 0;
+    springSpawnTimer = 0;
+    enemySpawnCount = 0;
+    barrels = [];
+    fireballs = [];
+    cementPans = [];
+    springs = [];
+    hammers.forEach(hammer => { hammer.taken = false; });
+    items.forEach(item => { item.collected = false; });
+    if (oilDrum) oilDrum.lit = false;
+    player.reset();
+    resetBonus();
+    donkeyKong.defeated = false;
+    donkeyKong.wildNext = false;
+    donkeyKong.falling = false;
+    donkeyKong.y = donkeyKong.baseY;
+    donkeyKong.vy = 0;
+    Adapters.audio.startMusic();
+}
+
+// Advance to the next stage, keeping score and lives
+function nextLevel() {
+    level++;
+    loadStage(level);
+    restartLevel();
+}
+
+function restartGame() {
+    startGame();
+}
+
+// Input recording - one entry per simulated frame, run-length encoded as [mask, count]
+const InputRecorder = {
+    VERSION: 1,
+    BITS: { left: 1, right: 2, up: 4, down: 8, jump: 16, restart: 32 },
+    recording: null,
+    
+    // Begin a new recording with everything needed to restart the same game
+    start(stages) {
+        this.recording = {
+            version: this.VERSION,
+            seed: Random.seed,
+            stages: stages, // null for the built-in campaign
+            difficulty,
+            adaptive: adaptiveDifficulty,
+            frames: []
+        };
+    },
+    
+    stop() {
+        this.recording = null;
+    },
+    
+    record(input) {
+        if (!this.recording) return;
+        const mask = this.encode(input);
+        const frames = this.recording.frames;
+        const last = frames[frames.length - 1];
+        if (last && last[0] === mask) {
+            last[1]++;
+        } else {
+            frames.push([mask, 1]);
+        }
+    },
+    
+    encode(input) {
+        let mask = 0;
+        for (const [action, bit] of Object.entries(this.BITS)) {
+            if (input[action]) mask |= bit;
+        }
+        return mask;
+    },
+    
+    decode(mask) {
+        const input = {};
+        for (const [action, bit] of Object.entries(this.BITS)) {
+            input[action] = (mask & bit) !== 0;
+        }
+        return input;
+    },
+    
+    // Expand run-length encoded frames into one input per frame
+    *inputs(recording) {
+        for (const [mask, count] of recording.frames) {
+            const input = this.decode(mask);
+            for (let i = 0; i < count; i++) yield input;
+        }
+    }
+};
+
+// Advance the game by one 60fps frame
+// input: { left, right, up, down, jump } - missing actions count as released
+function step(input = {}) {
+    if (gameState !== 'playing') return;
+    
+    frameCount++;
+    InputRecorder.record(input);
+    
+    // Restart Level from the pause menu arrives as input so replays repeat it
+    if (input.restart) {
+        restartLevel();
+        return;
+    }
+    
+    // Once the last rivet is out nothing moves but DK, falling to the floor
+    if (donkeyKong.falling) {
+        dropDonkeyKong();
+        return;
+    }
+    
+    // Nor while the player is dying
+    if (player.dying) {
+        updateDeath();
+        return;
+    }
+    
+    // Everything stops on the frame the player dies
+    moveElevators();
+    if (player.dying) return;
+    
+    // Update player
+    if (input.jump) {
+        player.jump();
+    }
+    player.update(input);
+    if (player.dying) return;
+    
+    // Spawn barrels and fireballs
+    if (!donkeyKong.defeated) {
+        barrelSpawnTimer++;
+        if (barrelSpawnTimer >= levelSettings.spawnInterval) {
+            // Every Nth enemy is a fireball, as set by the stage. With an oil drum it is
+            // thrown as a blue barrel and the fireball comes out of the drum.
+            const fireball = nextThrowIsFireball();
+            enemySpawnCount++;
+            if (fireball) {
+                if (oilDrum) {
+                    spawnBarrel(true);
+                } else {
+                    spawnFireball();
+                }
+            } else {
+                // Now and then a plain barrel is a wild one, and DK decides ahead of time
+                // so he can show it coming
+                spawnBarrel(false, donkeyKong.wildNext);
+                donkeyKong.wildNext = levelSettings.wildChance > 0 && Random.gameplay.next() < levelSettings.wildChance;
+            }
+            
+            barrelSpawnTimer = 0;
+        }
+    }
+    
+    // Cement pans come down the conveyors on a timer of their own
+    if (!donkeyKong.defeated && levelSettings.panInterval > 0) {
+        panSpawnTimer++;
+        if (panSpawnTimer >= levelSettings.panInterval) {
+            spawnCementPan();
+            panSpawnTimer = 0;
+        }
+    }
+    
+    // So do the springs
+    if (!donkeyKong.defeated && levelSettings.springInterval > 0) {
+        springSpawnTimer++;
+        if (springSpawnTimer >= levelSettings.springInterval) {
+            spawnSpring();
+            springSpawnTimer = 0;
+        }
+    }
+    
+    // Update barrels
+    for (let i = barrels.length - 1; i >= 0; i--) {
+        barrels[i].update();
+        
+        // Remove barrels that fall off bottom
+        if (barrels[i].y > WORLD_HEIGHT) {
+            barrels.splice(i, 1);
+            continue;
+        }
+        
+        // Remove barrels that roll into the walls on the bottom platform. Ones falling
+        // down beside a wall land first, and head for the oil drum if there is one.
+        if (barrels[i].onPlatform && barrels[i].y > platforms[0].y - 50) {
+            if ((barrels[i].x - barrels[i].radius <= 0 && barrels[i].vx < 0) ||
+                (barrels[i].x + barrels[i].radius >= WORLD_WIDTH && barrels[i].vx > 0)) {
+                barrels.splice(i, 1);
+            }
+        }
+    }
+    collideBarrels();
+    feedOilDrum();
+    
+    // Update fireballs
+    for (let i = fireballs.length - 1; i >= 0; i--) {
+        fireballs[i].update();
+        
+        // Remove fireballs that fall off bottom
+        if (fireballs[i].y > WORLD_HEIGHT) {
+            fireballs.splice(i, 1);
+        }
+    }
+    
+    // Update cement pans; they break on anything but a belt
+    for (let i = cementPans.length - 1; i >= 0; i--) {
+        const pan = cementPans[i];
+        pan.update();
+        if (pan.broken) {
+            Adapters.effects.explosion(pan.x, pan.y);
+            cementPans.splice(i, 1);
+        } else if (pan.y > WORLD_HEIGHT) {
+            cementPans.splice(i, 1);
+        }
+    }
+    
+    // Update springs
+    for (let i = springs.length - 1; i >= 0; i--) {
+        springs[i].update();
+        if (springs[i].y - SPRING_HEIGHT > WORLD_HEIGHT) {
+            springs.splice(i, 1);
+        }
+    }
+    
+    // Hammer pickups and smashing happen before the player can be hit
+    collectHammers();
+    collectItems();
+    pullRivets();
+    smashWithHammer();
+    
+    // Check collisions
+    checkCollisions();
+    if (player.dying) return;
+    checkWin();
+    if (gameState === 'playing') {
+        updateBonus();
+    }
+}
+
+// Platform Geometry System for angled platforms
+const PlatformGeometry = {
+    COLLISION_TOLERANCE: 10, // Extra depth below a girder that still counts as landing on it
+    
+    // Transform entity position to platform's rotated coordinate space
+    transformToRotatedSpace(entityX, entityY, platform) {
+        const centerX = platform.x + platform.width / 2;
+        const centerY = platform.y + platform.height / 2;
+        const angleRad = (-platform.angle * Math.PI) / 180; // Negative for inverse transform
+        
+        // Translate to origin
+        const dx = entityX - centerX;
+        const dy = entityY - centerY;
+        
+        // Rotate
+        const rotatedX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
+        const rotatedY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
+        
+        return { x: rotatedX, y: rotatedY };
+    },
+    
+    // Check collision with angled platform in rotated space
+    checkAngledCollision(entity, platform, entityWidth, entityHeight) {
+        // Transform entity corners to platform's rotated space
+        const bottomCenterX = entity.x + entityWidth / 2;
+        const bottomY = entity.y + entityHeight;
+        
+        const transformed = this.transformToRotatedSpace(bottomCenterX, bottomY, platform);
+        
+        // In rotated space, platform is axis-aligned
+        const halfWidth = platform.width / 2;
+        const halfHeight = platform.height / 2;
+        
+        // Check if entity is within platform bounds in rotated space
+        if (transformed.x >= -halfWidth && transformed.x <= halfWidth &&
+            transformed.y >= -halfHeight && transformed.y <= halfHeight + this.COLLISION_TOLERANCE &&
+            entity.vy >= 0) {
+            return true;
+        }
+        
+        return false;
+    },
+    
+    // Sine of the girder's tilt: positive when the right end is lower
+    slope(platform) {
+        return Math.sin((platform.angle * Math.PI) / 180);
+    },
+    
+    // Steepest tilt (degrees) the collision band can follow. Walking downhill the surface
+    // drops speed * tan(angle) per frame, and the band only reaches halfHeight above it.
+    maxAngle(platform) {
+        const fastest = Math.max(PLAYER_SPEED, MAX_BARREL_SPEED);
+        return Math.atan((platform.height / 2 + GRAVITY) / fastest) * 180 / Math.PI;
+    },
+    
+    // Move an elevator one frame along its shaft, looping round at the end. Returns how
+    // far it moved, or null when it looped and left its riders behind.
+    moveElevator(platform) {
+        const { top, bottom, speed } = platform.elevator;
+        const y = platform.y + speed;
+        if (y < top || y > bottom) {
+            platform.y = speed < 0 ? bottom : top;
+            return null;
+        }
+        platform.y = y;
+        return speed;
+    },
+    
+    // How fast a conveyor carries what stands on it this frame, 0 for other platforms.
+    // Positive is to the right; belts with reverseEvery flip over that often.
+    surfaceSpeed(platform) {
+        if (!platform || !platform.conveyor) return 0;
+        const { speed, reverseEvery } = platform.conveyor;
+        const reversed = reverseEvery > 0 && Math.floor(frameCount / reverseEvery) % 2 === 1;
+        return reversed ? -speed : speed;
+    },
+    
+    // How far a conveyor's belt has run since the level started, for animating it
+    beltTravel(platform) {
+        const { speed, reverseEvery } = platform.conveyor;
+        if (!(reverseEvery > 0)) return speed * frameCount;
+        const phase = frameCount % (reverseEvery * 2);
+        return speed * (phase < reverseEvery ? phase : reverseEvery * 2 - phase);
+    },
+    
+    // Get the Y position where entity should rest on angled platform
+    getAngledPlatformY(entityX, platform, entityHeight) {
+        const centerX = platform.x + platform.width / 2;
+        const centerY = platform.y + platform.height / 2;
+        const angleRad = (platform.angle * Math.PI) / 180;
+        
+        // Calculate the slope of the platform
+        const dx = entityX - centerX;
+        const offsetY = dx * Math.tan(angleRad);
+        
+        // Return Y position where entity should be (top of platform minus entity height)
+        return centerY + offsetY - entityHeight;
+    }
+};
+
+// Level loader for designer-written JSON level files (format documented in README)
+const LevelLoader = {
+    lastErrors: [],        // Problems with the last file, shown on the title screen
+    
+    // Fetch a level file by URL (needs a local server, not file://)
+    // Resolves to the stage, or null if the file was rejected
+    loadFromUrl(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => this.loadFromText(text, url))
+            .catch(e => {
+                this.reportErrors(url, [`Could not load file: ${e.message}`]);
+                return null;
+            });
+    },
+    
+    // Read a level file chosen through a file input
+    loadFromFile(file) {
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(this.loadFromText(reader.result, file.name));
+            reader.onerror = () => {
+                this.reportErrors(file.name, ['Could not read file']);
+                resolve(null);
+            };
+            reader.readAsText(file);
+        });
+    },
+    
+    // Validate level text; returns the stage if it is playable, null otherwise
+    loadFromText(text, source) {
+        const { stage, errors } = this.parse(text);
+        if (errors.length > 0) {
+            this.reportErrors(source, errors);
+            return null;
+        }
+        
+        this.lastErrors = [];
+        console.log(`Loaded level "${stage.name}" from ${source}`);
+        return stage;
+    },
+    
+    reportErrors(source, errors) {
+        this.lastErrors = errors.map(error => `${source}: ${error}`);
+        console.warn(`Level ${source} rejected:\n` + errors.join('\n'));
+    },
+    
+    // Parse level JSON into a stage definition; returns { stage, errors }
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { stage: null, errors: [`Not valid JSON (${e.message})`] };
+        }
+        
+        const errors = this.checkStructure(data);
+        if (errors.length > 0) {
+            return { stage: null, errors };
+        }
+        
+        const stage = this.normalize(data);
+        return { stage, errors: this.validate(stage) };
+    },
+    
+    // Check required fields and types before looking at the geometry
+    checkStructure(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Level must be a JSON object'];
+        }
+        
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        // required and optional are numbers; other lists the remaining fields the object
+        // may have, checked elsewhere. Anything else is most likely a typo.
+        const checkFields = (obj, label, required, optional = [], other = []) => {
+            if (!obj || typeof obj !== 'object') {
+                errors.push(`${label} is missing`);
+                return;
+            }
+            for (const field of required) {
+                if (!isNumber(obj[field])) errors.push(`${label}.${field} must be a number`);
+            }
+            for (const field of optional) {
+                if (field in obj && !isNumber(obj[field])) errors.push(`${label}.${field} must be a number`);
+            }
+            for (const field of Object.keys(obj)) {
+                if (!required.includes(field) && !optional.includes(field) && !other.includes(field)) {
+                    errors.push(`${label}.${field} is not a known field`);
+                }
+            }
+        };
+        
+        if (!Array.isArray(data.platforms) || data.platforms.length === 0) {
+            errors.push('platforms must be a non-empty array');
+        } else {
+            data.platforms.forEach((platform, i) => {
+                checkFields(platform, `platforms[${i}]`, ['x', 'y', 'width'], ['height', 'angle'], ['elevator', 'conveyor']);
+                if (platform && platform.elevator !== undefined && platform.elevator !== null) {
+                    checkFields(platform.elevator, `platforms[${i}].elevator`, ['top', 'bottom', 'speed']);
+                }
+                if (platform && platform.conveyor !== undefined && platform.conveyor !== null) {
+                    checkFields(platform.conveyor, `platforms[${i}].conveyor`, ['speed'], ['reverseEvery']);
+                }
+            });
+        }
+        
+        if (!Array.isArray(data.ladders)) {
+            errors.push('ladders must be an array');
+        } else {
+            data.ladders.forEach((ladder, i) => {
+                checkFields(ladder, `ladders[${i}]`, ['x', 'y', 'height'], ['width'], ['broken']);
+                if (ladder && 'broken' in ladder && typeof ladder.broken !== 'boolean') {
+                    errors.push(`ladders[${i}].broken must be true or false`);
+                }
+            });
+        }
+        
+        checkFields(data.playerStart, 'playerStart', ['x', 'y']);
+        checkFields(data.donkeyKong, 'donkeyKong', ['x', 'y']);
+        checkFields(data.goal, 'goal', ['x', 'y', 'width', 'height']);
+        checkFields(data, 'level', [], ['bonus', 'spawnInterval', 'fireballEvery', 'wildChance', 'panInterval', 'springInterval'],
+            ['name', 'winCondition', 'platforms', 'ladders', 'playerStart', 'donkeyKong', 'goal', 'hammers', 'items', 'rivets', 'oilDrum']);
+        
+        if ('hammers' in data) {
+            if (!Array.isArray(data.hammers)) {
+                errors.push('hammers must be an array');
+            } else {
+                data.hammers.forEach((hammer, i) => checkFields(hammer, `hammers[${i}]`, ['x', 'y']));
+            }
+        }
+        
+        if ('oilDrum' in data && data.oilDrum !== null) {
+            checkFields(data.oilDrum, 'oilDrum', ['x', 'y']);
+        }
+        
+        if ('winCondition' in data && typeof data.winCondition !== 'string') {
+            errors.push('winCondition must be a string');
+        }
+        
+        if ('rivets' in data) {
+            if (!Array.isArray(data.rivets)) {
+                errors.push('rivets must be an array');
+            } else {
+                data.rivets.forEach((rivet, i) => checkFields(rivet, `rivets[${i}]`, ['x', 'y']));
+            }
+        }
+        
+        if ('items' in data) {
+            if (!Array.isArray(data.items)) {
+                errors.push('items must be an array');
+            } else {
+                data.items.forEach((item, i) => {
+                    checkFields(item, `items[${i}]`, ['x', 'y'], ['points'], ['type']);
+                    const types = Object.keys(ITEM_POINTS);
+                    if (item && typeof item === 'object' && !types.includes(item.type)) {
+                        errors.push(`items[${i}].type must be one of ${types.join(', ')}`);
+                    }
+                });
+            }
+        }
+        return errors;
+    },
+    
+    // Fill in defaults so the result has the same shape as a STAGES entry
+    normalize(data) {
+        return {
+            name: typeof data.name === 'string' ? data.name : 'Custom Level',
+            platforms: data.platforms.map(p => {
+                const platform = { x: p.x, y: p.y, width: p.width, height: p.height ?? 20, angle: p.angle ?? 0 };
+                if (p.elevator) {
+                    platform.elevator = { top: p.elevator.top, bottom: p.elevator.bottom, speed: p.elevator.speed };
+                }
+                if (p.conveyor) {
+                    platform.conveyor = { speed: p.conveyor.speed, reverseEvery: p.conveyor.reverseEvery ?? 0 };
+                }
+                return platform;
+            }),
+            ladders: data.ladders.map(l => {
+                const ladder = { x: l.x, y: l.y, width: l.width ?? 30, height: l.height };
+                if (l.broken) ladder.broken = true;
+                return ladder;
+            }),
+            playerStart: { x: data.playerStart.x, y: data.playerStart.y },
+            donkeyKong: { x: data.donkeyKong.x, y: data.donkeyKong.y },
+            goal: { x: data.goal.x, y: data.goal.y, width: data.goal.width, height: data.goal.height },
+            hammers: (data.hammers || []).map(h => ({ x: h.x, y: h.y })),
+            items: (data.items || []).map(item => ({
+                type: item.type, x: item.x, y: item.y, points: item.points ?? ITEM_POINTS[item.type]
+            })),
+            oilDrum: data.oilDrum ? { x: data.oilDrum.x, y: data.oilDrum.y } : null,
+            winCondition: data.winCondition ?? 'goal',
+            rivets: (data.rivets || []).map(r => ({ x: r.x, y: r.y })),
+            bonus: data.bonus ?? BONUS_START,
+            spawnInterval: data.spawnInterval ?? BARREL_SPAWN_INTERVAL,
+            fireballEvery: data.fireballEvery ?? 3,
+            wildChance: data.wildChance ?? 0,
+            panInterval: data.panInterval ?? 0,
+            springInterval: data.springInterval ?? 0
+        };
+    },
+    
+    // Check that the level is playable; returns a list of readable problems
+    validate(stage) {
+        const errors = [];
+        const { platforms: levelPlatforms, ladders: levelLadders } = stage;
+        
+        levelPlatforms.forEach((platform, i) => {
+            if (platform.width <= 0 || platform.height <= 0) {
+                errors.push(`Platform ${i} must have a positive width and height`);
+                return;
+            }
+            const maxAngle = PlatformGeometry.maxAngle(platform);
+            if (Math.abs(platform.angle) > maxAngle) {
+                errors.push(`Platform ${i} is tilted ${platform.angle}°, but a ${platform.height}px girder ` +
+                    `supports at most ${maxAngle.toFixed(1)}°`);
+            }
+            
+            const elevator = platform.elevator;
+            if (elevator) {
+                if (platform.angle !== 0) {
+                    errors.push(`Platform ${i} is an elevator and must be flat`);
+                }
+                if (elevator.top >= elevator.bottom) {
+                    errors.push(`Platform ${i}: elevator top ${elevator.top} must be above its bottom ${elevator.bottom}`);
+                } else if (platform.y < elevator.top || platform.y > elevator.bottom) {
+                    errors.push(`Platform ${i}: y=${platform.y} is outside its elevator shaft ` +
+                        `(${elevator.top} to ${elevator.bottom})`);
+                }
+                if (elevator.speed === 0 || Math.abs(elevator.speed) > MAX_ELEVATOR_SPEED) {
+                    errors.push(`Platform ${i}: elevator speed must be between -${MAX_ELEVATOR_SPEED} and ` +
+                        `${MAX_ELEVATOR_SPEED}, and not 0`);
+                }
+            }
+            
+            const conveyor = platform.conveyor;
+            if (conveyor) {
+                if (platform.angle !== 0) {
+                    errors.push(`Platform ${i} is a conveyor and must be flat`);
+                }
+                if (elevator) {
+                    errors.push(`Platform ${i} cannot be both an elevator and a conveyor`);
+                }
+                if (conveyor.speed === 0 || Math.abs(conveyor.speed) > MAX_CONVEYOR_SPEED) {
+                    errors.push(`Platform ${i}: conveyor speed must be between -${MAX_CONVEYOR_SPEED} and ` +
+                        `${MAX_CONVEYOR_SPEED}, and not 0`);
+                }
+                if (conveyor.reverseEvery < 0) {
+                    errors.push(`Platform ${i}: conveyor reverseEvery must not be negative`);
+                }
+            }
+        });
+        
+        levelLadders.forEach((ladder, i) => {
+            if (ladder.width <= 0 || ladder.height <= 0) {
+                errors.push(`Ladder ${i} must have a positive width and height`);
+                return;
+            }
+            const centerX = ladder.x + ladder.width / 2;
+            const top = Navigation.platformNear(levelPlatforms, centerX, ladder.y, -1);
+            const bottom = Navigation.platformNear(levelPlatforms, centerX, ladder.y + ladder.height, top);
+            if (top === -1) {
+                errors.push(`Ladder ${i} (x=${ladder.x}): top end y=${ladder.y} does not touch a platform`);
+            }
+            if (bottom === -1) {
+                errors.push(`Ladder ${i} (x=${ladder.x}): bottom end y=${ladder.y + ladder.height} ` +
+                    `does not touch a second platform`);
+            }
+        });
+        
+        // Pickups must hang low enough over a girder to grab with a jump
+        const checkPickup = (label, x, y, width, height) => {
+            const centerX = x + width / 2;
+            const bottom = y + height;
+            const below = Navigation.platformBelow(levelPlatforms, centerX, bottom);
+            if (below === -1) {
+                errors.push(`${label} (${x}, ${y}) is not above any platform`);
+            } else if (Navigation.surfaceY(centerX, levelPlatforms[below]) - bottom >= player.height + player.maxJumpHeight) {
+                errors.push(`${label} (${x}, ${y}) is too high to reach from the platform below`);
+            }
+        };
+        (stage.hammers || []).forEach((hammer, i) =>
+            checkPickup(`Hammer ${i}`, hammer.x, hammer.y, HAMMER_WIDTH, HAMMER_HEIGHT));
+        (stage.items || []).forEach((item, i) => {
+            checkPickup(`Item ${i}`, item.x, item.y, ITEM_SIZE, ITEM_SIZE);
+            if (item.points < 0) errors.push(`Item ${i} must not be worth negative points`);
+        });
+        
+        // Barrels only reach the drum along the bottom platform
+        if (stage.oilDrum) {
+            const drumX = stage.oilDrum.x + OIL_DRUM_WIDTH / 2;
+            const floor = levelPlatforms[0];
+            const drumBottom = stage.oilDrum.y + OIL_DRUM_HEIGHT;
+            if (!Navigation.spans(drumX, floor) ||
+                Math.abs(Navigation.surfaceY(drumX, floor) - drumBottom) > Navigation.LADDER_TOLERANCE) {
+                errors.push(`Oil drum (${stage.oilDrum.x}, ${stage.oilDrum.y}) must stand on the bottom platform`);
+            }
+        }
+        
+        // Rivets sit in flat girders, with room around them to leave a hole when pulled
+        const winCondition = stage.winCondition ?? 'goal';
+        if (!WIN_CONDITIONS[winCondition]) {
+            errors.push(`winCondition must be one of ${Object.keys(WIN_CONDITIONS).join(', ')}`);
+        }
+        const levelRivets = stage.rivets || [];
+        if (winCondition === 'rivets' && levelRivets.length === 0) {
+            errors.push('A rivets level needs at least one rivet');
+        }
+        const rivetPlatforms = levelRivets.map((rivet, i) => {
+            const index = Navigation.platformNear(levelPlatforms, rivet.x, rivet.y, -1);
+            if (index === -1) {
+                errors.push(`Rivet ${i} (${rivet.x}, ${rivet.y}) is not on a girder surface`);
+                return -1;
+            }
+            const platform = levelPlatforms[index];
+            if (platform.angle !== 0 || platform.conveyor) {
+                errors.push(`Rivet ${i} must be in a flat girder that is not a conveyor`);
+            }
+            if (rivet.x - RIVET_GAP <= platform.x || rivet.x + RIVET_GAP >= platform.x + platform.width) {
+                errors.push(`Rivet ${i} (x=${rivet.x}) is too close to the end of its girder`);
+            }
+            levelRivets.forEach((other, j) => {
+                if (j > i && Math.abs(other.x - rivet.x) < RIVET_GAP * 2 &&
+                    Navigation.platformNear(levelPlatforms, other.x, other.y, -1) === index) {
+                    errors.push(`Rivets ${i} and ${j} are too close together`);
+                }
+            });
+            return index;
+        });
+        
+        if (stage.panInterval > 0 && !levelPlatforms.some(platform => platform.conveyor)) {
+            errors.push('panInterval needs at least one conveyor for the cement pans to ride');
+        }
+        if (stage.springInterval > 0 && Navigation.platformNear(levelPlatforms,
+            stage.donkeyKong.x + donkeyKong.width / 2, stage.donkeyKong.y + donkeyKong.height, -1) === -1) {
+            errors.push('springInterval needs DK standing on a girder for the springs to bounce along');
+        }
+        
+        if (stage.wildChance < 0 || stage.wildChance > 1) {
+            errors.push('wildChance must be between 0 and 1');
+        }
+        
+        if (stage.bonus < BONUS_STEP) {
+            errors.push(`bonus must be at least ${BONUS_STEP}`);
+        }
+        
+        const start = stage.playerStart;
+        if (Navigation.platformBelow(levelPlatforms, start.x + player.width / 2, start.y + player.height) === -1) {
+            errors.push(`playerStart (${start.x}, ${start.y}) is not above any platform`);
+        } else if (errors.length === 0) {
+            // Each difficulty has its own gravity, which changes how high and how far
+            // the player jumps, so the level has to be clearable with all of them
+            for (const preset of Object.values(DIFFICULTIES)) {
+                const graph = Navigation.build(levelPlatforms, stage.ladders, preset.gravity);
+                const reachable = Navigation.reachablePlatforms(graph, this.startPlatform(stage));
+                if (winCondition === 'rivets') {
+                    rivetPlatforms.forEach((index, i) => {
+                        if (!reachable.has(index)) {
+                            errors.push(`Rivet ${i} cannot be reached from playerStart on ${preset.name} ` +
+                                'by walking, jumping or climbing');
+                        }
+                    });
+                } else if (![...reachable].some(index => this.canTouchGoal(levelPlatforms[index], stage.goal, preset.gravity))) {
+                    errors.push(`The goal cannot be reached from playerStart on ${preset.name} ` +
+                        'by walking, jumping or climbing');
+                }
+                if (errors.length > 0) break;
+            }
+        }
+        
+        return errors;
+    },
+    
+    // Index of the platform the player starts on
+    startPlatform(stage) {
+        return Navigation.platformBelow(stage.platforms, stage.playerStart.x + player.width / 2,
+            stage.playerStart.y + player.height);
+    },
+    
+    // How high a standing jump lifts the feet, moving frame by frame as player.update() does
+    jumpHeight(gravity) {
+        let vy = JUMP_POWER;
+        let height = 0;
+        while (vy + gravity < 0) {
+            vy += gravity;
+            height -= vy;
+        }
+        return Math.min(player.maxJumpHeight, height);
+    },
+    
+    // Can a player standing (or jumping, under the given gravity) on this platform
+    // touch the goal box?
+    canTouchGoal(platform, goalRect, gravity) {
+        const left = Math.max(platform.x, goalRect.x);
+        const right = Math.min(platform.x + platform.width, goalRect.x + goalRect.width);
+        if (left > right) return false;
+        
+        const surface = Navigation.surfaceY((left + right) / 2, platform);
+        const highestReach = surface - player.height - this.jumpHeight(gravity);
+        return goalRect.y + goalRect.height > highestReach && goalRect.y < surface;
+    }
+};
+
+// Entry points for Node (see headless.js). The browser calls these globals directly.
+const Simulation = {
+    startGame,
+    step,
+    nextLevel,
+    restartLevel,
+    useCustomLevel,
+    setDifficulty,
+    DIFFICULTIES,
+    LevelLoader,
+    Navigation,
+    Autopilot,
+    InputRecorder,
+    adapters: Adapters,
+    
+    // Snapshot of the values tests and balancing scripts usually look at
+    getState() {
+        return {
+            gameState,
+            level,
+            score,
+            lives,
+            frameCount,
+            bonus,
+            difficulty,
+            seed: Random.seed,
+            player: { x: player.x, y: player.y, vx: player.vx, vy: player.vy,
+                onGround: player.onGround, climbing: player.climbing, invincible: player.invincible,
+                hammerTimer: player.hammerTimer, deathTimer: player.deathTimer },
+            barrels: barrels.map(b => ({ x: b.x, y: b.y, vx: b.vx, vy: b.vy, blue: b.blue, wild: b.wild })),
+            oilDrumLit: oilDrum ? oilDrum.lit : false,
+            fireballs: fireballs.map(f => ({ x: f.x, y: f.y, vx: f.vx, vy: f.vy })),
+            cementPans: cementPans.map(pan => ({ x: pan.x, y: pan.y, vx: pan.vx, vy: pan.vy })),
+            springs: springs.map(spring => ({ x: spring.x, y: spring.y, vx: spring.vx, vy: spring.vy })),
+            rivetsLeft: rivets.filter(rivet => !rivet.removed).length
+        };
+    },
+    
+    // Live objects, for tests that need to place entities directly
+    get world() {
+        return {
+            player, barrels, fireballs, cementPans, springs, platforms, ladders, hammers, items, oilDrum, rivets,
+            navGraph, donkeyKong, goal
+        };
+    },
+    
+    // Play a saved recording to the end, advancing through cleared levels like the replay viewer
+    runRecording(recording) {
+        campaign = recording.stages || STAGES;
+        setDifficulty(recording.difficulty, recording.adaptive);
+        startGame(recording.seed, false);
+        for (const input of InputRecorder.inputs(recording)) {
+            if (gameState === 'levelComplete') nextLevel();
+            if (gameState !== 'playing') break;
+            step(input);
+        }
+        return this.getState();
+    }
+};